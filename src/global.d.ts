@@ -10,6 +10,9 @@ interface Window {
   zoomModel: (params: { target?: string, scale: number }) => boolean;
   focusOnModel: (params: { target?: string }) => boolean;
   resetModel: (params?: any) => boolean;
+
+  // 统一模型操作调度器 (Unified model action dispatcher)
+  executeModelAction: (action: string, params?: Record<string, any>, target?: string) => Promise<import('./utils/ModelActions').ModelActionResult>;
   
   // 应用对象 (Application object)
   app: {
@@ -17,6 +20,11 @@ interface Window {
     zoomComponent: (target: string | null, scale: number) => { success: boolean, message?: string };
     focusOnComponent: (target: string) => { success: boolean, message?: string };
     resetModel: () => boolean;
+    executeModelAction?: Window['executeModelAction'];
+    selectParts?: (targets: string[], options?: import('./utils/SelectionManager').SelectOptions) => string[];
+    deselectParts?: (targets: string[]) => string[];
+    clearSelection?: () => void;
+    getSelectedParts?: () => string[];
   };
   
   // 控制器引用 (Controller reference)
@@ -0,0 +1,619 @@
+/**
+ * 操作参数模式
+ * (Action Parameter Schemas)
+ *
+ * 每个操作的参数以JSON Schema（子集）描述，MCPCommandBuilder构建命令和ModelViewer执行命令时
+ * 使用同一份模式校验，校验失败时给出字段级错误。旧版参数写法（如rotate的axis、
+ * zoom的direction/distance和value）在校验前统一转换为标准参数。
+ * 连接时客户端与服务端交换各自支持的协议版本和操作版本，协商出双方共同支持的操作。
+ */
+import { MODEL_ACTIONS, type ParameterError } from './ModelActions';
+import { PROTOCOL_VERSION } from './MCPProtocol';
+
+// JSON Schema子集 (JSON Schema subset)
+export interface ActionSchema {
+  type?: SchemaType | SchemaType[];
+  description?: string;
+  properties?: Record<string, ActionSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  enum?: readonly any[];
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  minLength?: number;
+  items?: ActionSchema;
+  minItems?: number;
+  maxItems?: number;
+  anyOf?: ActionSchema[];
+}
+
+type SchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+
+// 操作定义：参数模式及其版本 (Action definition: parameter schema and its version)
+export interface ActionDefinition {
+  version: number;
+  parameters: ActionSchema;
+}
+
+// 能力声明，在握手时交换 (Capabilities exchanged during the handshake)
+export interface MCPCapabilities {
+  protocol: number;
+  // 操作名称 -> 参数模式版本
+  actions: Record<string, number>;
+}
+
+// 协商结果 (Negotiation result)
+export interface NegotiatedCapabilities {
+  compatible: boolean;
+  protocol: number;
+  // 双方均支持且版本一致的操作
+  actions: string[];
+  // 仅本端支持或版本不一致的操作
+  unsupported: string[];
+}
+
+// 命令校验结果 (Command validation result)
+export interface CommandValidation {
+  valid: boolean;
+  // 转换为标准写法后的参数
+  parameters: Record<string, any>;
+  errors: ParameterError[];
+}
+
+// 坐标参数，对应VECTOR (Vector parameter, see VECTOR)
+export type VectorParameter = { x: number, y: number, z: number } | [number, number, number];
+
+// 视角操作的参数，与ACTION_SCHEMAS中的定义对应 (View action parameters matching ACTION_SCHEMAS)
+export interface RotateParameters {
+  direction: 'left' | 'right' | 'up' | 'down';
+  angle?: number;
+  target?: string;
+}
+
+export interface ZoomParameters {
+  // 大于1放大，小于1缩小
+  scale: number;
+  target?: string;
+}
+
+export interface FocusParameters {
+  target?: string;
+  position?: VectorParameter;
+}
+
+// 命令校验失败 (Command validation failure)
+export class CommandValidationError extends Error {
+  public action: string;
+  public errors: ParameterError[];
+
+  constructor(action: string, errors: ParameterError[]) {
+    super(`${action}命令参数无效: ${formatParameterErrors(errors)}`);
+    this.name = 'CommandValidationError';
+    this.action = action;
+    this.errors = errors;
+  }
+}
+
+// 三维坐标，{x, y, z}或[x, y, z] (3D coordinate)
+const VECTOR: ActionSchema = {
+  anyOf: [
+    {
+      type: 'object',
+      properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+      required: ['x', 'y', 'z']
+    },
+    { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 }
+  ]
+};
+
+const NAME: ActionSchema = { type: 'string', minLength: 1 };
+
+const TARGET: ActionSchema = { type: 'string' };
+
+// 全部操作的参数模式 (Parameter schemas of all actions)
+export const ACTION_SCHEMAS: Record<string, ActionDefinition> = {
+  rotate: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        direction: { type: 'string', enum: ['left', 'right', 'up', 'down'] },
+        angle: { type: 'number', exclusiveMinimum: 0, maximum: 360 },
+        target: TARGET
+      },
+      required: ['direction']
+    }
+  },
+  zoom: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        scale: { type: 'number', exclusiveMinimum: 0, description: '大于1放大，小于1缩小' },
+        target: TARGET
+      },
+      required: ['scale']
+    }
+  },
+  focus: {
+    version: 1,
+    parameters: { type: 'object', properties: { target: TARGET, position: VECTOR } }
+  },
+  reset: {
+    version: 1,
+    parameters: { type: 'object' }
+  },
+  highlight: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        target: TARGET,
+        targets: { type: 'array', items: NAME },
+        color: { type: 'string' },
+        exclusive: { type: 'boolean' },
+        enabled: { type: 'boolean' },
+        clear: { type: 'boolean' }
+      }
+    }
+  },
+  move: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: { position: VECTOR, relative: { type: 'boolean' } },
+      required: ['position']
+    }
+  },
+  toggle_visibility: {
+    version: 1,
+    parameters: { type: 'object', properties: { visible: { type: 'boolean' } } }
+  },
+  animate: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        animation: NAME,
+        enabled: { type: 'boolean' },
+        speed: { type: 'number', exclusiveMinimum: 0 },
+        amplitude: { type: 'number', minimum: 0 }
+      },
+      required: ['animation']
+    }
+  },
+  settings: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        rotationSpeed: { type: 'number' },
+        backgroundColor: { type: 'string' },
+        ambientIntensity: { type: 'number', minimum: 0 },
+        directionalIntensity: { type: 'number', minimum: 0 },
+        fov: { type: 'number', exclusiveMinimum: 0, maximum: 180 },
+        autoRotate: { type: 'boolean' },
+        autoRotateSpeed: { type: 'number' },
+        enableDamping: { type: 'boolean' },
+        wireframe: { type: 'boolean' }
+      },
+      additionalProperties: false
+    }
+  },
+  snapshot: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        filename: { type: 'string' },
+        width: { type: 'integer', minimum: 1 },
+        height: { type: 'integer', minimum: 1 },
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        transparent: { type: 'boolean' },
+        hideOverlays: { type: 'boolean' },
+        format: { type: 'string', enum: ['png', 'jpeg', 'webp'] },
+        quality: { type: 'number', minimum: 0, maximum: 1 },
+        includeImage: { type: 'boolean' }
+      }
+    }
+  },
+  load_model: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        modelPath: NAME,
+        useCache: { type: 'boolean' },
+        hash: { type: 'string' },
+        forceRefresh: { type: 'boolean' }
+      },
+      required: ['modelPath']
+    }
+  },
+  query_state: {
+    version: 1,
+    parameters: { type: 'object' }
+  },
+  restore_state: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        state: {
+          type: 'object',
+          properties: {
+            version: { type: 'integer' },
+            camera: {
+              type: 'object',
+              properties: {
+                position: { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 },
+                target: { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 },
+                fov: { type: 'number', exclusiveMinimum: 0 }
+              },
+              required: ['position', 'target']
+            },
+            nodes: { type: 'array' },
+            materials: { type: 'array' },
+            selection: { type: 'array' },
+            animations: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['version', 'camera']
+        }
+      },
+      required: ['state']
+    }
+  },
+  batch: {
+    // 2: 增加mode、atomic和continueOnError
+    version: 2,
+    parameters: {
+      type: 'object',
+      properties: {
+        commands: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: { action: NAME, parameters: { type: 'object' }, target: TARGET },
+            required: ['action']
+          }
+        },
+        mode: { type: 'string', enum: ['sequential', 'parallel'] },
+        atomic: { type: 'boolean' },
+        continueOnError: { type: 'boolean' }
+      },
+      required: ['commands']
+    }
+  },
+  annotate: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        text: NAME,
+        kind: { type: 'string', enum: ['note', 'issue', 'ticket'] },
+        title: { type: 'string' },
+        position: VECTOR
+      },
+      required: ['text']
+    }
+  },
+  list_annotations: {
+    version: 1,
+    parameters: { type: 'object' }
+  },
+  remove_annotation: {
+    version: 1,
+    parameters: { type: 'object', properties: { id: NAME }, required: ['id'] }
+  },
+  save_view: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: { name: NAME, position: VECTOR, target: VECTOR },
+      required: ['name']
+    }
+  },
+  goto_view: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: { name: NAME, duration: { type: 'number', minimum: 0 } }
+    }
+  },
+  tour: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', enum: ['play', 'pause', 'resume', 'skip', 'stop', 'save', 'list'] },
+        name: { type: 'string' },
+        tour: {
+          type: 'object',
+          properties: { name: NAME, stops: { type: 'array', minItems: 1 }, loop: { type: 'boolean' } },
+          required: ['name', 'stops']
+        }
+      }
+    }
+  },
+  macro: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', enum: ['play', 'stop', 'record', 'stop_recording', 'save', 'list', 'remove'] },
+        name: { type: 'string' },
+        args: { type: 'object' },
+        macro: {
+          type: 'object',
+          properties: { name: NAME, steps: { type: 'array', minItems: 1 } },
+          required: ['name', 'steps']
+        }
+      }
+    }
+  },
+  undo: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: { steps: { type: 'integer', minimum: 1 } }
+    }
+  },
+  redo: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: { steps: { type: 'integer', minimum: 1 } }
+    }
+  },
+  cancel: {
+    version: 1,
+    parameters: {
+      type: 'object',
+      properties: { commandId: NAME },
+      required: ['commandId']
+    }
+  }
+};
+
+/**
+ * 判断操作是否定义了参数模式
+ * @param action 操作名称
+ */
+export function hasActionSchema(action: string): boolean {
+  return Object.prototype.hasOwnProperty.call(ACTION_SCHEMAS, action);
+}
+
+/**
+ * 按模式校验值，返回字段级错误
+ * @param schema 模式
+ * @param value 值
+ * @param path 字段路径
+ */
+export function validateSchema(schema: ActionSchema, value: any, path = 'parameters'): ParameterError[] {
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => validateSchema(option, value, path).length === 0);
+    return matched ? [] : [{ field: path, message: '格式不符合任一允许的写法' }];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      return [{ field: path, message: `应为${types.join('或')}类型` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field: path, message: `取值应为${schema.enum.join(', ')}之一` }];
+  }
+
+  const errors: ParameterError[] = [];
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: path, message: `不能小于${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ field: path, message: `必须大于${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: path, message: `不能大于${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ field: path, message: schema.minLength === 1 ? '不能为空' : `长度不能小于${schema.minLength}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: path, message: `至少需要${schema.minItems}项` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: path, message: `最多允许${schema.maxItems}项` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items!, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ field: `${path}.${key}`, message: '缺少必填字段' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+      const property = schema.properties?.[key];
+      if (property) {
+        errors.push(...validateSchema(property, item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${path}.${key}`, message: '不支持的字段' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(type: SchemaType, value: any): boolean {
+  switch (type) {
+    case 'object':
+      return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 将旧版参数写法转换为标准参数
+ * @param action 操作名称
+ * @param parameters 原始参数
+ */
+export function normalizeParameters(action: string, parameters: Record<string, any> = {}): Record<string, any> {
+  const params = { ...parameters };
+
+  switch (action) {
+    case 'rotate':
+      // 旧版使用axis表示方向
+      if (params.direction === undefined && params.axis !== undefined) {
+        params.direction = params.axis;
+      }
+      delete params.axis;
+      if (typeof params.angle === 'string' && params.angle.trim() !== '') {
+        params.angle = Number(params.angle);
+      }
+      break;
+    case 'zoom':
+      // 旧版使用direction(in/out)+distance，或正负value表示放大/缩小
+      if (params.scale === undefined) {
+        if (params.direction === 'in' || params.direction === 'out') {
+          const factor = Number(params.distance ?? 1.5);
+          params.scale = params.direction === 'in' ? factor : 1 / factor;
+        } else if (params.value !== undefined) {
+          const value = Number(params.value);
+          params.scale = value >= 0 ? Math.abs(value) : 1 / Math.abs(value);
+        }
+      }
+      delete params.direction;
+      delete params.distance;
+      delete params.value;
+      if (typeof params.scale === 'string' && params.scale.trim() !== '') {
+        params.scale = Number(params.scale);
+      }
+      break;
+    case 'focus':
+      if (params.target === undefined && params.targetId !== undefined) {
+        params.target = params.targetId;
+      }
+      delete params.targetId;
+      break;
+    case 'batch':
+      // 子命令兼容operation/params写法
+      if (Array.isArray(params.commands)) {
+        params.commands = params.commands.map((command: any) => (command && typeof command === 'object'
+          ? {
+            action: command.action ?? command.operation,
+            parameters: command.parameters ?? command.params ?? {},
+            ...(command.target ? { target: command.target } : {})
+          }
+          : command));
+      }
+      break;
+    case 'load_model':
+      if (params.modelPath === undefined) {
+        params.modelPath = params.path ?? params.url;
+      }
+      delete params.path;
+      delete params.url;
+      break;
+    case 'save_view':
+    case 'goto_view':
+      if (params.name === undefined && params.view !== undefined) {
+        params.name = params.view;
+      }
+      delete params.view;
+      break;
+  }
+
+  return params;
+}
+
+/**
+ * 校验命令：转换旧版参数写法后按操作模式校验，批量命令逐条校验子命令
+ * @param action 操作名称
+ * @param parameters 参数
+ */
+export function validateCommand(action: string, parameters: Record<string, any> = {}): CommandValidation {
+  if (!hasActionSchema(action)) {
+    return {
+      valid: false,
+      parameters,
+      errors: [{ field: 'action', message: `不支持的操作: ${action}` }]
+    };
+  }
+
+  const params = normalizeParameters(action, parameters);
+  const errors = validateSchema(ACTION_SCHEMAS[action].parameters, params);
+
+  if (action === 'batch' && errors.length === 0) {
+    params.commands = params.commands.map((command: any, index: number) => {
+      const result = validateCommand(command.action, command.parameters || {});
+      errors.push(...result.errors.map(error => ({ ...error, field: `parameters.commands[${index}].${error.field}` })));
+      return { ...command, parameters: result.parameters };
+    });
+  }
+
+  return { valid: errors.length === 0, parameters: params, errors };
+}
+
+/**
+ * 将字段级错误格式化为一行文本
+ * @param errors 字段级错误
+ */
+export function formatParameterErrors(errors: ParameterError[]): string {
+  return errors.map(error => `${error.field} ${error.message}`).join('; ');
+}
+
+// 本端能力声明 (Local capabilities)
+export function getCapabilities(): MCPCapabilities {
+  return {
+    protocol: PROTOCOL_VERSION,
+    actions: Object.fromEntries(
+      MODEL_ACTIONS.filter(hasActionSchema).map(action => [action, ACTION_SCHEMAS[action].version])
+    )
+  };
+}
+
+/**
+ * 协商双方能力：协议版本一致时取双方均支持且版本一致的操作
+ * @param local 本端能力
+ * @param remote 对端能力
+ */
+export function negotiateCapabilities(local: MCPCapabilities, remote: Partial<MCPCapabilities> | null | undefined): NegotiatedCapabilities {
+  const remoteActions = remote?.actions || {};
+  const compatible = remote?.protocol === local.protocol;
+  const actions = compatible
+    ? Object.keys(local.actions).filter(action => remoteActions[action] === local.actions[action])
+    : [];
+
+  return {
+    compatible,
+    protocol: compatible ? local.protocol : Math.min(local.protocol, Number(remote?.protocol) || 0),
+    actions,
+    unsupported: Object.keys(local.actions).filter(action => !actions.includes(action))
+  };
+}
+
+export default validateCommand;
@@ -0,0 +1,367 @@
+/**
+ * 告警规则引擎
+ * (Alarm Rules Engine)
+ *
+ * 在客户端按规则评估遥测读数（阈值、持续时间、时间窗口），
+ * 触发的告警经回调在模型上以脉冲或闪烁效果提示，并支持确认与清除。
+ */
+import type { TelemetryReading } from './TelemetryManager';
+
+export type AlarmOperator = '>' | '>=' | '<' | '<=' | '==' | '!=';
+export type AlarmSeverity = 'info' | 'warning' | 'critical';
+export type AlarmEffect = 'pulse' | 'blink';
+// active: 触发未确认；acknowledged: 已确认；cleared: 已解除
+export type AlarmState = 'active' | 'acknowledged' | 'cleared';
+
+export const ALARM_OPERATORS: AlarmOperator[] = ['>', '>=', '<', '<=', '==', '!='];
+export const ALARM_SEVERITIES: AlarmSeverity[] = ['info', 'warning', 'critical'];
+
+// 告警规则 (Alarm rule)
+export interface AlarmRule {
+  id: string;
+  name: string;
+  sensorId: string;
+  // 未指定时由遥测映射解析传感器对应的节点
+  node?: string;
+  operator: AlarmOperator;
+  value: number;
+  // 条件需持续满足的秒数
+  duration?: number;
+  // 生效时间窗口（本地时间HH:MM），after晚于before时跨越午夜
+  after?: string;
+  before?: string;
+  severity?: AlarmSeverity;
+  effect?: AlarmEffect;
+}
+
+// 告警 (Alarm)
+export interface Alarm {
+  id: string;
+  ruleId: string;
+  name: string;
+  sensorId: string;
+  node: string;
+  severity: AlarmSeverity;
+  effect: AlarmEffect;
+  value: number;
+  state: AlarmState;
+  triggeredAt: number;
+  acknowledgedAt?: number;
+  clearedAt?: number;
+}
+
+// 告警事件 (Alarm event)
+export interface AlarmEvent {
+  type: 'triggered' | 'acknowledged' | 'cleared';
+  alarm: Alarm;
+}
+
+// 视图提示回调 (View alert callbacks)
+export interface AlarmRenderer {
+  start: (node: string, effect: AlarmEffect, severity: AlarmSeverity) => void;
+  stop: (node: string) => void;
+}
+
+// 保留的已解除告警数量上限 (Maximum number of cleared alarms kept)
+const HISTORY_LIMIT = 200;
+
+const SEVERITY_RANK: Record<AlarmSeverity, number> = { info: 0, warning: 1, critical: 2 };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time: string) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time)!;
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * 校验规则文件
+ * @param data 规则数据，支持规则数组或{rules: [...]}
+ */
+export function validateAlarmRules(data: any): AlarmRule[] {
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('无效的告警规则：缺少rules');
+  }
+
+  const ids = new Set<string>();
+  rules.forEach((rule: AlarmRule) => {
+    if (!rule?.id || !rule.sensorId) {
+      throw new Error('无效的告警规则：缺少id或sensorId');
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`告警规则ID重复: ${rule.id}`);
+    }
+    ids.add(rule.id);
+
+    if (!ALARM_OPERATORS.includes(rule.operator) || !Number.isFinite(rule.value)) {
+      throw new Error(`告警规则${rule.id}的条件无效`);
+    }
+    if (rule.duration !== undefined && !(rule.duration >= 0)) {
+      throw new Error(`告警规则${rule.id}的持续时间无效`);
+    }
+    [rule.after, rule.before].forEach((time) => {
+      if (time !== undefined && !TIME_PATTERN.test(time)) {
+        throw new Error(`告警规则${rule.id}的时间格式无效: ${time}`);
+      }
+    });
+    if (rule.severity && !ALARM_SEVERITIES.includes(rule.severity)) {
+      throw new Error(`告警规则${rule.id}的级别无效: ${rule.severity}`);
+    }
+  });
+
+  return rules as AlarmRule[];
+}
+
+// 比较读数与阈值 (Compare a value against the threshold)
+export function compareValue(value: number, operator: AlarmOperator, threshold: number): boolean {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+  }
+}
+
+// 判断时间戳是否处于规则的时间窗口内 (Check whether a timestamp falls in the rule's time window)
+export function inTimeWindow(rule: AlarmRule, timestamp: number): boolean {
+  if (!rule.after && !rule.before) return true;
+
+  const date = new Date(timestamp);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const after = rule.after ? toMinutes(rule.after) : 0;
+  const before = rule.before ? toMinutes(rule.before) : 24 * 60;
+
+  return after <= before
+    ? minutes >= after && minutes < before
+    : minutes >= after || minutes < before;
+}
+
+export class AlarmEngine {
+  private rules: AlarmRule[] = [];
+  // 规则+传感器 → 条件开始满足的时间
+  private pendingSince = new Map<string, number>();
+  private alarms: Alarm[] = [];
+  // 正在提示的节点及其效果
+  private alerting = new Map<string, string>();
+  private renderer: AlarmRenderer;
+  private listeners = new Set<(engine: AlarmEngine) => void>();
+  private eventListeners = new Set<(event: AlarmEvent) => void>();
+
+  constructor(renderer: AlarmRenderer) {
+    this.renderer = renderer;
+  }
+
+  // 从URL加载规则文件 (Load the rules file from a URL)
+  public async loadRules(url: string): Promise<AlarmRule[]> {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`加载告警规则失败: HTTP ${response.status}`);
+    }
+    return this.setRules(await response.json());
+  }
+
+  // 设置规则，已删除规则的未解除告警随之解除 (Set the rules; open alarms of removed rules are cleared)
+  public setRules(data: any): AlarmRule[] {
+    this.rules = validateAlarmRules(data);
+    this.pendingSince.clear();
+
+    const ruleIds = new Set(this.rules.map(rule => rule.id));
+    this.alarms
+      .filter(alarm => alarm.state !== 'cleared' && !ruleIds.has(alarm.ruleId))
+      .forEach(alarm => this.resolve(alarm, Date.now()));
+
+    this.refresh();
+    return this.rules;
+  }
+
+  public getRules(): AlarmRule[] {
+    return this.rules;
+  }
+
+  public hasRules(): boolean {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * 按规则评估读数
+   * @param readings 读数
+   * @param resolveNode 由传感器ID解析节点名称
+   */
+  public evaluate(readings: TelemetryReading[], resolveNode: (sensorId: string) => string | undefined) {
+    let changed = false;
+
+    readings.forEach((reading) => {
+      this.rules.forEach((rule) => {
+        if (rule.sensorId !== reading.sensorId) return;
+
+        const key = `${rule.id}|${reading.sensorId}`;
+        const open = this.alarms.find(alarm => alarm.ruleId === rule.id && alarm.state !== 'cleared');
+        const matched = compareValue(reading.value, rule.operator, rule.value) && inTimeWindow(rule, reading.timestamp);
+
+        if (!matched) {
+          this.pendingSince.delete(key);
+          if (open) {
+            this.resolve(open, reading.timestamp);
+            changed = true;
+          }
+          return;
+        }
+
+        if (open) {
+          open.value = reading.value;
+          changed = true;
+          return;
+        }
+
+        const since = this.pendingSince.get(key) ?? reading.timestamp;
+        this.pendingSince.set(key, since);
+        if (reading.timestamp - since < (rule.duration ?? 0) * 1000) return;
+
+        const node = rule.node || resolveNode(reading.sensorId);
+        if (!node) return;
+
+        this.pendingSince.delete(key);
+        this.trigger(rule, node, reading);
+        changed = true;
+      });
+    });
+
+    if (changed) {
+      this.refresh();
+    }
+  }
+
+  // 确认告警，停止视觉提示 (Acknowledge an alarm, stopping its visual alert)
+  public acknowledge(id: string): boolean {
+    const alarm = this.alarms.find(item => item.id === id);
+    if (!alarm || alarm.state !== 'active') return false;
+
+    alarm.state = 'acknowledged';
+    alarm.acknowledgedAt = Date.now();
+    this.emit('acknowledged', alarm);
+    this.refresh();
+    return true;
+  }
+
+  // 手动解除告警 (Clear an alarm manually)
+  public clear(id: string): boolean {
+    const alarm = this.alarms.find(item => item.id === id);
+    if (!alarm || alarm.state === 'cleared') return false;
+
+    this.resolve(alarm, Date.now());
+    this.refresh();
+    return true;
+  }
+
+  // 删除已解除的告警记录 (Remove cleared alarms from the list)
+  public purgeCleared() {
+    this.alarms = this.alarms.filter(alarm => alarm.state !== 'cleared');
+    this.notify();
+  }
+
+  // 按触发时间倒序返回告警 (Alarms, newest first)
+  public list(): Alarm[] {
+    return [...this.alarms].sort((a, b) => b.triggeredAt - a.triggeredAt);
+  }
+
+  // 节点重新加载后重新提示 (Re-apply visual alerts after the model is reloaded)
+  public reapply() {
+    this.alerting.clear();
+    this.refresh();
+  }
+
+  // 监听状态变化，返回取消监听函数 (Listen for state changes; returns an unsubscribe function)
+  public onChange(listener: (engine: AlarmEngine) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // 监听告警事件，返回取消监听函数 (Listen for alarm events; returns an unsubscribe function)
+  public onEvent(listener: (event: AlarmEvent) => void): () => void {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  public dispose() {
+    this.alerting.forEach((_, node) => this.renderer.stop(node));
+    this.alerting.clear();
+    this.listeners.clear();
+    this.eventListeners.clear();
+  }
+
+  private trigger(rule: AlarmRule, node: string, reading: TelemetryReading) {
+    const alarm: Alarm = {
+      id: `alarm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      ruleId: rule.id,
+      name: rule.name || rule.id,
+      sensorId: reading.sensorId,
+      node,
+      severity: rule.severity || 'warning',
+      effect: rule.effect || 'pulse',
+      value: reading.value,
+      state: 'active',
+      triggeredAt: reading.timestamp
+    };
+    this.alarms.push(alarm);
+    this.emit('triggered', alarm);
+  }
+
+  private resolve(alarm: Alarm, timestamp: number) {
+    alarm.state = 'cleared';
+    alarm.clearedAt = timestamp;
+    this.emit('cleared', alarm);
+
+    const cleared = this.alarms.filter(item => item.state === 'cleared');
+    if (cleared.length > HISTORY_LIMIT) {
+      const dropped = new Set(cleared.slice(0, cleared.length - HISTORY_LIMIT));
+      this.alarms = this.alarms.filter(item => !dropped.has(item));
+    }
+  }
+
+  // 同步节点视觉提示：每个节点取最高级别的未确认告警 (Sync node alerts, using the highest-severity unacknowledged alarm per node)
+  private refresh() {
+    const next = new Map<string, Alarm>();
+    this.alarms
+      .filter(alarm => alarm.state === 'active')
+      .forEach((alarm) => {
+        const current = next.get(alarm.node);
+        if (!current || SEVERITY_RANK[alarm.severity] > SEVERITY_RANK[current.severity]) {
+          next.set(alarm.node, alarm);
+        }
+      });
+
+    this.alerting.forEach((_, node) => {
+      if (!next.has(node)) {
+        this.renderer.stop(node);
+        this.alerting.delete(node);
+      }
+    });
+
+    next.forEach((alarm, node) => {
+      const signature = `${alarm.effect}|${alarm.severity}`;
+      if (this.alerting.get(node) === signature) return;
+
+      if (this.alerting.has(node)) {
+        this.renderer.stop(node);
+      }
+      this.renderer.start(node, alarm.effect, alarm.severity);
+      this.alerting.set(node, signature);
+    });
+
+    this.notify();
+  }
+
+  private emit(type: AlarmEvent['type'], alarm: Alarm) {
+    const event = { type, alarm: { ...alarm } };
+    this.eventListeners.forEach(listener => listener(event));
+  }
+
+  private notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default AlarmEngine;
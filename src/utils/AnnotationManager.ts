@@ -0,0 +1,322 @@
+/**
+ * 标注管理器
+ * (Annotation Manager)
+ *
+ * 将备注、问题和维护工单以图钉形式固定在模型部件或其表面点上。
+ * 图钉位置保存在目标部件的局部坐标系中，部件移动时图钉随之移动；
+ * 标注按模型保存在localStorage中，并支持JSON导入导出。
+ */
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+
+// 标注类型 (Annotation kinds)
+export type AnnotationKind = 'note' | 'issue' | 'ticket';
+
+export const ANNOTATION_KINDS: readonly AnnotationKind[] = ['note', 'issue', 'ticket'];
+
+// 标注 (Annotation)
+export interface Annotation {
+  id: string;
+  kind: AnnotationKind;
+  title: string;
+  text: string;
+  // 目标部件名称
+  target: string;
+  // 目标部件局部坐标系中的位置
+  position: [number, number, number];
+  createdAt: string;
+  updatedAt: string;
+}
+
+// 创建标注的参数 (Parameters for creating an annotation)
+export interface AnnotationInput {
+  target: string;
+  kind?: AnnotationKind;
+  title?: string;
+  text?: string;
+  // 世界坐标系中的表面点，优先于position
+  worldPoint?: THREE.Vector3;
+  // 目标部件局部坐标系中的位置，均未提供时使用部件包围盒中心
+  position?: [number, number, number];
+}
+
+// 标注变化回调 (Annotation change listener)
+export type AnnotationListener = (annotations: Annotation[]) => void;
+
+const STORAGE_KEY_PREFIX = 'model_annotations:';
+
+const KIND_COLORS: Record<AnnotationKind, string> = {
+  note: '#2196F3',
+  issue: '#f44336',
+  ticket: '#FF9800'
+};
+
+const KIND_ICONS: Record<AnnotationKind, string> = {
+  note: '✎',
+  issue: '!',
+  ticket: '🔧'
+};
+
+export class AnnotationManager {
+  private group = new THREE.Group();
+  private root: THREE.Object3D | null = null;
+  private storageKey: string | null = null;
+  private annotations: Annotation[] = [];
+  private pins = new Map<string, CSS2DObject>();
+  private listeners = new Set<AnnotationListener>();
+  private pinClickHandler: ((annotation: Annotation) => void) | null = null;
+
+  constructor(scene: THREE.Scene) {
+    this.group.name = '__annotations';
+    scene.add(this.group);
+  }
+
+  /**
+   * 绑定模型并加载该模型已保存的标注
+   * @param root 模型根节点
+   * @param modelKey 模型标识，用作本地存储键
+   */
+  public attach(root: THREE.Object3D | null, modelKey: string | null) {
+    this.clearPins();
+    this.root = root;
+    this.storageKey = root && modelKey ? `${STORAGE_KEY_PREFIX}${modelKey}` : null;
+    this.annotations = this.storageKey ? this.loadFromStorage(this.storageKey) : [];
+    this.annotations.forEach(annotation => this.createPin(annotation));
+    this.notify();
+  }
+
+  // 创建标注，目标部件不存在时抛出错误 (Create an annotation; throws if the target does not exist)
+  public add(input: AnnotationInput): Annotation {
+    const target = this.findTarget(input.target);
+    if (!target) {
+      throw new Error(`未找到部件: ${input.target}`);
+    }
+
+    let position: THREE.Vector3;
+    if (input.worldPoint) {
+      position = target.worldToLocal(input.worldPoint.clone());
+    } else if (input.position) {
+      position = new THREE.Vector3().fromArray(input.position);
+    } else {
+      const center = new THREE.Box3().setFromObject(target).getCenter(new THREE.Vector3());
+      position = target.worldToLocal(center);
+    }
+
+    const now = new Date().toISOString();
+    const annotation: Annotation = {
+      id: `annotation_${Date.now()}_${Math.floor(Math.random() * 10000)}`,
+      kind: input.kind && ANNOTATION_KINDS.includes(input.kind) ? input.kind : 'note',
+      title: input.title || target.name,
+      text: input.text || '',
+      target: target.name,
+      position: position.toArray() as [number, number, number],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.annotations.push(annotation);
+    this.createPin(annotation);
+    this.save();
+    return annotation;
+  }
+
+  // 修改标注内容 (Edit annotation content)
+  public edit(id: string, patch: Partial<Pick<Annotation, 'kind' | 'title' | 'text'>>): Annotation | null {
+    const annotation = this.annotations.find(item => item.id === id);
+    if (!annotation) return null;
+
+    Object.assign(annotation, patch, { updatedAt: new Date().toISOString() });
+    this.removePin(id);
+    this.createPin(annotation);
+    this.save();
+    return annotation;
+  }
+
+  // 删除标注 (Remove an annotation)
+  public remove(id: string): boolean {
+    const index = this.annotations.findIndex(item => item.id === id);
+    if (index === -1) return false;
+
+    this.annotations.splice(index, 1);
+    this.removePin(id);
+    this.save();
+    return true;
+  }
+
+  // 清空当前模型的全部标注 (Clear all annotations of the current model)
+  public clear() {
+    this.clearPins();
+    this.annotations = [];
+    this.save();
+  }
+
+  // 列出标注，可按目标部件过滤 (List annotations, optionally filtered by target)
+  public list(target?: string): Annotation[] {
+    return this.annotations
+      .filter(annotation => !target || annotation.target === target)
+      .map(annotation => ({ ...annotation }));
+  }
+
+  public get(id: string): Annotation | null {
+    const annotation = this.annotations.find(item => item.id === id);
+    return annotation ? { ...annotation } : null;
+  }
+
+  // 导出为JSON (Export as JSON)
+  public exportJSON() {
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      annotations: this.list()
+    };
+  }
+
+  /**
+   * 从JSON导入标注
+   * @param data exportJSON导出的数据或标注数组
+   * @param merge 为true时与现有标注合并（同ID覆盖），否则替换
+   * @returns 导入的标注数量
+   */
+  public importJSON(data: any, merge = true): number {
+    const items: any[] = Array.isArray(data) ? data : data?.annotations;
+    if (!Array.isArray(items)) {
+      throw new Error('无效的标注数据：缺少annotations数组');
+    }
+
+    const imported = items.filter(item =>
+      item && typeof item.id === 'string' && typeof item.target === 'string'
+      && Array.isArray(item.position) && item.position.length === 3
+    ).map((item): Annotation => ({
+      id: item.id,
+      kind: ANNOTATION_KINDS.includes(item.kind) ? item.kind : 'note',
+      title: String(item.title || item.target),
+      text: String(item.text || ''),
+      target: item.target,
+      position: item.position.map(Number) as [number, number, number],
+      createdAt: item.createdAt || new Date().toISOString(),
+      updatedAt: item.updatedAt || new Date().toISOString()
+    }));
+
+    const importedIds = new Set(imported.map(item => item.id));
+    this.clearPins();
+    this.annotations = merge
+      ? [...this.annotations.filter(item => !importedIds.has(item.id)), ...imported]
+      : imported;
+    this.annotations.forEach(annotation => this.createPin(annotation));
+    this.save();
+    return imported.length;
+  }
+
+  // 同步图钉到目标部件的当前位置，每帧调用 (Sync pins to their targets; call every frame)
+  public updatePins() {
+    this.annotations.forEach((annotation) => {
+      const pin = this.pins.get(annotation.id);
+      const target = this.findTarget(annotation.target);
+      if (!pin) return;
+
+      if (!target) {
+        pin.visible = false;
+        return;
+      }
+
+      target.localToWorld(pin.position.fromArray(annotation.position));
+      pin.visible = this.isShown(target);
+    });
+  }
+
+  // 监听标注变化，返回取消监听函数 (Listen for changes; returns an unsubscribe function)
+  public onChange(listener: AnnotationListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // 设置图钉点击回调 (Set the pin click handler)
+  public onPinClick(handler: ((annotation: Annotation) => void) | null) {
+    this.pinClickHandler = handler;
+  }
+
+  public dispose() {
+    this.clearPins();
+    this.listeners.clear();
+    this.pinClickHandler = null;
+    this.group.removeFromParent();
+  }
+
+  private findTarget(name: string): THREE.Object3D | null {
+    if (!this.root) return null;
+    return this.root.name === name ? this.root : this.root.getObjectByName(name) || null;
+  }
+
+  // 部件及其祖先均可见时才显示图钉 (Show the pin only if the target and its ancestors are visible)
+  private isShown(object: THREE.Object3D): boolean {
+    let current: THREE.Object3D | null = object;
+    while (current) {
+      if (!current.visible) return false;
+      current = current.parent;
+    }
+    return true;
+  }
+
+  private createPin(annotation: Annotation) {
+    const element = document.createElement('div');
+    element.className = `annotation-pin annotation-${annotation.kind}`;
+    element.title = annotation.text ? `${annotation.title}\n${annotation.text}` : annotation.title;
+    element.style.cssText = [
+      'display:flex', 'align-items:center', 'gap:4px', 'padding:2px 6px',
+      'border-radius:10px', 'color:#fff', 'font-size:12px', 'white-space:nowrap',
+      'cursor:pointer', 'pointer-events:auto', 'transform:translateY(-50%)',
+      `background:${KIND_COLORS[annotation.kind]}`
+    ].join(';');
+    element.textContent = `${KIND_ICONS[annotation.kind]} ${annotation.title}`;
+    element.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.pinClickHandler?.({ ...annotation });
+    });
+
+    const pin = new CSS2DObject(element);
+    pin.name = annotation.id;
+    this.pins.set(annotation.id, pin);
+    this.group.add(pin);
+  }
+
+  private removePin(id: string) {
+    const pin = this.pins.get(id);
+    if (!pin) return;
+    pin.element.remove();
+    pin.removeFromParent();
+    this.pins.delete(id);
+  }
+
+  private clearPins() {
+    Array.from(this.pins.keys()).forEach(id => this.removePin(id));
+  }
+
+  private loadFromStorage(key: string): Annotation[] {
+    try {
+      const data = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      console.error('读取标注失败:', error);
+      return [];
+    }
+  }
+
+  // 保存到本地存储并通知变化 (Persist to local storage and notify listeners)
+  private save() {
+    if (this.storageKey) {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.annotations));
+      } catch (error) {
+        console.error('保存标注失败:', error);
+      }
+    }
+    this.notify();
+  }
+
+  private notify() {
+    const annotations = this.list();
+    this.listeners.forEach(listener => listener(annotations));
+  }
+}
+
+export default AnnotationManager;
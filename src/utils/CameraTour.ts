@@ -0,0 +1,309 @@
+/**
+ * 相机导览
+ * (Camera Tours)
+ *
+ * 导览是一组视角站点，每站包含过渡时长、缓动方式、停留时长和可选字幕。
+ * 播放器在渲染循环中逐帧插值相机位置和观察点，支持暂停、继续、跳过和中断；
+ * 导览可保存为JSON，并按名称保存在localStorage中。
+ */
+import * as THREE from 'three';
+
+export type TourEasing = 'linear' | 'easeIn' | 'easeOut' | 'easeInOut';
+
+// 缓动函数 (Easing functions)
+export const EASINGS: Record<TourEasing, (t: number) => number> = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => t * (2 - t),
+  easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t)
+};
+
+export const TOUR_EASINGS = Object.keys(EASINGS) as TourEasing[];
+
+// 导览站点 (Tour stop)
+export interface TourStop {
+  // 相机书签名称，未提供position/target时使用
+  view?: string;
+  position?: [number, number, number];
+  target?: [number, number, number];
+  // 过渡到该站的时长（毫秒）
+  duration: number;
+  // 到达后停留的时长（毫秒）
+  hold: number;
+  easing: TourEasing;
+  caption?: string;
+}
+
+// 导览 (Tour)
+export interface CameraTour {
+  name: string;
+  stops: TourStop[];
+  loop?: boolean;
+}
+
+// 播放状态 (Playback status)
+export interface TourStatus {
+  name: string | null;
+  playing: boolean;
+  paused: boolean;
+  index: number;
+  total: number;
+  // 循环播放的导览不会自行结束
+  loop: boolean;
+  caption: string;
+}
+
+// 相机驱动回调 (Camera driver callbacks)
+export interface TourCameraDriver {
+  getView: () => { position: THREE.Vector3, target: THREE.Vector3 };
+  setView: (position: THREE.Vector3, target: THREE.Vector3) => void;
+  // 将站点解析为相机位置和观察点，无法解析时返回null
+  resolveStop: (stop: TourStop) => { position: THREE.Vector3, target: THREE.Vector3 } | null;
+}
+
+const STORAGE_KEY = 'camera_tours';
+
+const isVector = (value: any): value is [number, number, number] =>
+  Array.isArray(value) && value.length === 3 && value.every(item => Number.isFinite(item));
+
+/**
+ * 校验导览数据并补全默认值
+ * @param data 导览JSON
+ */
+export function validateTour(data: any): CameraTour {
+  if (!data || typeof data.name !== 'string' || !data.name.trim() || !Array.isArray(data.stops)) {
+    throw new Error('无效的导览：缺少name或stops');
+  }
+  if (data.stops.length === 0) {
+    throw new Error(`导览${data.name}没有站点`);
+  }
+
+  const stops = data.stops.map((stop: any, index: number): TourStop => {
+    const hasCamera = isVector(stop?.position) && isVector(stop?.target);
+    if (!hasCamera && typeof stop?.view !== 'string') {
+      throw new Error(`导览站点${index + 1}缺少view或position/target`);
+    }
+
+    return {
+      ...(stop.view ? { view: stop.view } : {}),
+      ...(hasCamera ? { position: stop.position, target: stop.target } : {}),
+      duration: Math.max(0, Number(stop.duration ?? 3000)),
+      hold: Math.max(0, Number(stop.hold ?? 1000)),
+      easing: TOUR_EASINGS.includes(stop.easing) ? stop.easing : 'easeInOut',
+      ...(stop.caption ? { caption: String(stop.caption) } : {})
+    };
+  });
+
+  return { name: data.name.trim(), stops, loop: data.loop === true };
+}
+
+export class TourPlayer {
+  private tour: CameraTour | null = null;
+  private index = 0;
+  private phase: 'move' | 'hold' = 'move';
+  private elapsed = 0;
+  private from: { position: THREE.Vector3, target: THREE.Vector3 } | null = null;
+  private to: { position: THREE.Vector3, target: THREE.Vector3 } | null = null;
+  private playing = false;
+  private paused = false;
+  private driver: TourCameraDriver;
+  private listeners = new Set<(status: TourStatus) => void>();
+
+  constructor(driver: TourCameraDriver) {
+    this.driver = driver;
+  }
+
+  // 从第一站开始播放导览 (Play a tour from its first stop)
+  public play(tour: CameraTour) {
+    this.tour = validateTour(tour);
+    this.playing = true;
+    this.paused = false;
+    this.enterStop(0);
+  }
+
+  public pause() {
+    if (!this.playing || this.paused) return;
+    this.paused = true;
+    this.notify();
+  }
+
+  public resume() {
+    if (!this.playing || !this.paused) return;
+    this.paused = false;
+    this.notify();
+  }
+
+  // 立即到达当前站并前往下一站 (Jump to the current stop and move on to the next one)
+  public skip() {
+    if (!this.playing || !this.to) return;
+    this.driver.setView(this.to.position, this.to.target);
+    this.advance();
+  }
+
+  public stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.paused = false;
+    this.tour = null;
+    this.from = null;
+    this.to = null;
+    this.notify();
+  }
+
+  public isPlaying(): boolean {
+    return this.playing;
+  }
+
+  public getStatus(): TourStatus {
+    return {
+      name: this.tour?.name ?? null,
+      playing: this.playing,
+      paused: this.paused,
+      index: this.index,
+      total: this.tour?.stops.length ?? 0,
+      loop: !!this.tour?.loop,
+      caption: this.playing ? this.tour?.stops[this.index].caption ?? '' : ''
+    };
+  }
+
+  /**
+   * 推进播放，每帧调用
+   * @param delta 距上一帧的秒数
+   */
+  public update(delta: number) {
+    if (!this.playing || this.paused || !this.tour || !this.from || !this.to) return;
+
+    const stop = this.tour.stops[this.index];
+    this.elapsed += delta * 1000;
+
+    if (this.phase === 'move') {
+      const progress = stop.duration > 0 ? Math.min(this.elapsed / stop.duration, 1) : 1;
+      const eased = EASINGS[stop.easing](progress);
+      this.driver.setView(
+        this.from.position.clone().lerp(this.to.position, eased),
+        this.from.target.clone().lerp(this.to.target, eased)
+      );
+
+      if (progress >= 1) {
+        this.phase = 'hold';
+        this.elapsed = 0;
+      }
+    } else if (this.elapsed >= stop.hold) {
+      this.advance();
+    }
+  }
+
+  // 监听播放状态变化，返回取消监听函数 (Listen for status changes; returns an unsubscribe function)
+  public onChange(listener: (status: TourStatus) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public dispose() {
+    this.stop();
+    this.listeners.clear();
+  }
+
+  private enterStop(index: number) {
+    const stop = this.tour!.stops[index];
+    const to = this.driver.resolveStop(stop);
+    if (!to) {
+      console.warn(`导览站点${index + 1}无法解析，已跳过:`, stop);
+    }
+
+    this.index = index;
+    this.phase = 'move';
+    this.elapsed = 0;
+    this.from = this.driver.getView();
+    this.to = to || this.from;
+    this.notify();
+  }
+
+  private advance() {
+    const next = this.index + 1;
+    if (next < this.tour!.stops.length) {
+      this.enterStop(next);
+    } else if (this.tour!.loop) {
+      this.enterStop(0);
+    } else {
+      this.stop();
+    }
+  }
+
+  private notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+// 按名称保存在本地的导览库 (Tours saved locally by name)
+export class TourLibrary {
+  private tours: CameraTour[] = this.loadFromStorage();
+  private listeners = new Set<(tours: CameraTour[]) => void>();
+
+  // 保存导览，同名导览被覆盖 (Save a tour, replacing one with the same name)
+  public save(data: any): CameraTour {
+    const tour = validateTour(data);
+    this.tours = [...this.tours.filter(item => item.name !== tour.name), tour];
+    this.persist();
+    return tour;
+  }
+
+  public get(name: string): CameraTour | null {
+    return this.tours.find(tour => tour.name === name) ?? null;
+  }
+
+  public list(): CameraTour[] {
+    return [...this.tours];
+  }
+
+  public remove(name: string): boolean {
+    const count = this.tours.length;
+    this.tours = this.tours.filter(tour => tour.name !== name);
+    if (this.tours.length === count) return false;
+
+    this.persist();
+    return true;
+  }
+
+  // 监听导览库变化，返回取消监听函数 (Listen for library changes; returns an unsubscribe function)
+  public onChange(listener: (tours: CameraTour[]) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  private loadFromStorage(): CameraTour[] {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(data)
+        ? data.flatMap((item) => {
+          try {
+            return [validateTour(item)];
+          } catch {
+            return [];
+          }
+        })
+        : [];
+    } catch (error) {
+      console.error('读取导览失败:', error);
+      return [];
+    }
+  }
+
+  // 保存到本地存储并通知变化 (Persist to local storage and notify listeners)
+  private persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.tours));
+    } catch (error) {
+      console.error('保存导览失败:', error);
+    }
+
+    const tours = this.list();
+    this.listeners.forEach(listener => listener(tours));
+  }
+}
+
+// 单例 (Singleton)
+export const tourLibrary = new TourLibrary();
+
+export default TourPlayer;
@@ -0,0 +1,522 @@
+/**
+ * 协同会话
+ * (Collaborative Sessions)
+ *
+ * 多个用户在不同屏幕上查看同一个孪生场景：通过中继广播在线状态、主讲人的相机和选择，
+ * 以及各自执行的场景操作。跟随模式下本地视角和选择与主讲人同步；新加入的用户向主讲人
+ * （或最早加入的用户）请求完整的场景状态。
+ *
+ * 冲突处理：每个操作带有Lamport时钟，按操作、目标和参数中的属性（如settings::wireframe、
+ * move:pump_1:position；动画按名称整体作为一个属性，如animate:pump_1:spin，播放、停止和速度
+ * 一并取舍）分别决定胜者：时钟大的胜出，时钟相同时按用户ID决定，落后的属性被
+ * 丢弃并记为冲突。只广播幂等的操作（绝对值），发送方落败的属性会被胜者的操作覆盖，各端最终
+ * 保持一致；相对移动、未指定可见性的切换和批量命令需先由调用方转换为绝对值的操作。
+ */
+import { mcpTransport, type MCPTransport } from './MCPTransport';
+import { createMessageId } from './MCPProtocol';
+import type { SceneState, SelectedNode } from './SceneState';
+
+type Vec3 = [number, number, number];
+
+// 会话成员 (Session peer)
+export interface SessionPeer {
+  id: string;
+  name: string;
+  color: string;
+  joinedAt: number;
+}
+
+// 相机视角 (Camera view)
+export interface SessionCamera {
+  position: Vec3;
+  target: Vec3;
+  fov: number;
+}
+
+// 广播的场景操作 (Broadcast scene operation)
+export interface SessionOperation {
+  id: string;
+  action: string;
+  parameters: Record<string, any>;
+  target?: string;
+  // Lamport时钟
+  clock: number;
+  from: string;
+}
+
+// 中继消息 (Relay message)
+export type SessionMessage = { sessionId: string, from: string } & (
+  | { kind: 'hello', peer: SessionPeer, presenter: boolean, reply?: boolean }
+  | { kind: 'leave' }
+  | { kind: 'presenter', presenterId: string | null }
+  | { kind: 'camera', camera: SessionCamera }
+  | { kind: 'selection', selection: SelectedNode[] }
+  | { kind: 'operation', operation: SessionOperation }
+  | { kind: 'sync_request' }
+  | { kind: 'sync', to: string, state: SceneState, clock: number }
+);
+
+// 待发送的消息，sessionId和from由会话填写 (Outgoing message; sessionId and from are filled in by the session)
+type OutgoingMessage<M = SessionMessage> = M extends SessionMessage ? Omit<M, 'sessionId' | 'from'> : never;
+
+// 消息中继：服务端转发或本地模拟 (Message relay: server-side forwarding or a local stand-in)
+export interface SessionRelay {
+  name: string;
+  connect: () => Promise<void>;
+  send: (message: SessionMessage) => void;
+  subscribe: (handler: (message: SessionMessage) => void) => () => void;
+  disconnect: () => void;
+}
+
+// 会话与场景之间的绑定 (Bindings between the session and the scene)
+export interface SessionBindings {
+  applyCamera: (camera: SessionCamera) => void;
+  applySelection: (selection: SelectedNode[]) => void;
+  applyOperation: (operation: SessionOperation) => Promise<unknown> | void;
+  captureState: () => SceneState;
+  applyState: (state: SceneState) => Promise<unknown> | void;
+}
+
+// 冲突记录 (Conflict record)
+export interface SessionConflict {
+  operation: SessionOperation;
+  // 保留下来的操作的用户
+  winner: string;
+  timestamp: number;
+}
+
+// 会话状态 (Session status)
+export interface SessionStatus {
+  connected: boolean;
+  relay: string | null;
+  sessionId: string | null;
+  self: SessionPeer | null;
+  peers: SessionPeer[];
+  presenterId: string | null;
+  following: boolean;
+  conflicts: number;
+  lastConflict: SessionConflict | null;
+}
+
+export interface CollabSessionOptions {
+  // 在线心跳间隔（毫秒）
+  heartbeatInterval?: number;
+  // 超过该时长未收到心跳的成员视为离开（毫秒）
+  peerTimeout?: number;
+  // 主讲人相机广播的最小间隔（毫秒）
+  cameraInterval?: number;
+}
+
+// 不是被设置的属性、而是标识或模式的参数 (Parameters that identify the property rather than set it)
+const IDENTITY_PARAMETERS: Record<string, string[]> = {
+  animate: ['animation'],
+  move: ['relative']
+};
+
+// 不按参数拆分的操作：整体替换场景，或同一动画的播放状态、速度和幅度作为一个属性的值
+// (Operations that are not split by parameter: scene replacement, and one animation's state as a single value)
+const WHOLE_OPERATIONS = ['load_model', 'restore_state', 'animate'];
+
+/**
+ * 操作是否幂等：相对移动、未指定可见性的切换和批量命令重复执行的结果不同，不能按时钟取舍
+ * @param action 操作名称
+ * @param parameters 操作参数
+ */
+export function isIdempotentOperation(action: string, parameters: Record<string, any>): boolean {
+  if (action === 'batch') return false;
+  if (action === 'move') return parameters.relative !== true;
+  if (action === 'toggle_visibility') return typeof parameters.visible === 'boolean';
+  return true;
+}
+
+const PEER_COLORS = ['#2196F3', '#E91E63', '#4CAF50', '#FF9800', '#9C27B0', '#00BCD4', '#795548', '#607D8B'];
+
+/**
+ * 通过MCP传输层的session通道转发消息，由WebSocket服务端广播给同一会话的其他客户端
+ * @param transport 传输层
+ */
+export function createTransportRelay(transport: MCPTransport = mcpTransport): SessionRelay {
+  const owner = {};
+  return {
+    name: 'server',
+    connect: () => transport.open('session', owner),
+    send: (message) => {
+      transport.send('session', 'event', { event: 'session', message });
+    },
+    subscribe: handler => transport.subscribe('session', (envelope) => {
+      if (envelope.type === 'event' && envelope.payload?.event === 'session' && envelope.payload.message) {
+        handler(envelope.payload.message);
+      }
+    }),
+    disconnect: () => transport.close('session', owner)
+  };
+}
+
+/**
+ * 本地中继：通过BroadcastChannel在同一浏览器的多个标签页之间转发消息，无需服务端即可测试协同会话
+ * @param name 广播通道名称
+ */
+export function createLocalSessionRelay(name = 'digital-twin-session'): SessionRelay {
+  let channel: BroadcastChannel | null = null;
+  const handlers = new Set<(message: SessionMessage) => void>();
+  return {
+    name: 'local',
+    connect: async () => {
+      if (channel) return;
+      channel = new BroadcastChannel(name);
+      channel.onmessage = event => handlers.forEach(handler => handler(event.data));
+    },
+    send: (message) => {
+      if (!channel) throw new Error('本地中继未连接');
+      channel.postMessage(message);
+    },
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    disconnect: () => {
+      channel?.close();
+      channel = null;
+    }
+  };
+}
+
+export class CollabSession {
+  private relay: SessionRelay | null = null;
+  private unsubscribe: (() => void) | null = null;
+  private sessionId: string | null = null;
+  private self: SessionPeer | null = null;
+  private peers = new Map<string, SessionPeer & { lastSeen: number }>();
+  private presenterId: string | null = null;
+  private following = false;
+  private synced = false;
+  private clock = 0;
+  // 每个属性键最近一次生效的操作 (Last applied operation per property key)
+  private applied = new Map<string, { clock: number, from: string }>();
+  private conflicts = 0;
+  private lastConflict: SessionConflict | null = null;
+  private heartbeatTimer: ReturnType<typeof setInterval> | null = null;
+  private cameraTimer: ReturnType<typeof setTimeout> | null = null;
+  private pendingCamera: SessionCamera | null = null;
+  private lastCameraSent = 0;
+  private bindings: SessionBindings;
+  private options: Required<CollabSessionOptions>;
+  private listeners = new Set<(status: SessionStatus) => void>();
+
+  constructor(bindings: SessionBindings, options: CollabSessionOptions = {}) {
+    this.bindings = bindings;
+    this.options = {
+      heartbeatInterval: 5000,
+      peerTimeout: 15000,
+      cameraInterval: 100,
+      ...options
+    };
+  }
+
+  /**
+   * 加入会话，已在会话中时先离开
+   * @param sessionId 会话ID
+   * @param name 用户名称
+   * @param relay 消息中继
+   */
+  public async join(sessionId: string, name: string, relay: SessionRelay = createTransportRelay()) {
+    this.leave();
+
+    await relay.connect();
+    const id = createMessageId('peer');
+    this.relay = relay;
+    this.sessionId = sessionId;
+    this.self = {
+      id,
+      name: name.trim() || '匿名用户',
+      color: PEER_COLORS[Math.floor(Math.random() * PEER_COLORS.length)],
+      joinedAt: Date.now()
+    };
+    this.unsubscribe = relay.subscribe(message => this.receive(message));
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatInterval);
+
+    this.sendHello();
+    this.post({ kind: 'sync_request' });
+    this.notify();
+  }
+
+  // 离开会话 (Leave the session)
+  public leave() {
+    if (!this.relay) return;
+
+    if (this.isPresenter()) this.post({ kind: 'presenter', presenterId: null });
+    this.post({ kind: 'leave' });
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    if (this.cameraTimer) clearTimeout(this.cameraTimer);
+    this.unsubscribe?.();
+    this.relay.disconnect();
+
+    this.relay = null;
+    this.unsubscribe = null;
+    this.heartbeatTimer = null;
+    this.cameraTimer = null;
+    this.pendingCamera = null;
+    this.sessionId = null;
+    this.self = null;
+    this.peers.clear();
+    this.presenterId = null;
+    this.following = false;
+    this.synced = false;
+    this.applied.clear();
+    this.conflicts = 0;
+    this.lastConflict = null;
+    this.notify();
+  }
+
+  public isConnected(): boolean {
+    return this.relay !== null;
+  }
+
+  public isPresenter(): boolean {
+    return !!this.self && this.presenterId === this.self.id;
+  }
+
+  // 成为主讲人或放弃主讲 (Become the presenter or step down)
+  public setPresenting(presenting: boolean) {
+    if (!this.self) return;
+    this.presenterId = presenting ? this.self.id : (this.isPresenter() ? null : this.presenterId);
+    if (presenting) this.following = false;
+    this.post({ kind: 'presenter', presenterId: this.presenterId });
+    this.notify();
+  }
+
+  /**
+   * 开启或关闭跟随主讲人，开启时立即请求主讲人的当前状态
+   * @param following 是否跟随
+   */
+  public setFollowing(following: boolean) {
+    if (!this.self || this.following === following) return;
+    this.following = following && !this.isPresenter();
+    if (this.following) {
+      this.synced = false;
+      this.post({ kind: 'sync_request' });
+    }
+    this.notify();
+  }
+
+  /**
+   * 广播主讲人的相机，按cameraInterval节流；非主讲人时忽略
+   * @param camera 相机视角
+   */
+  public shareCamera(camera: SessionCamera) {
+    if (!this.isPresenter()) return;
+
+    this.pendingCamera = camera;
+    if (this.cameraTimer) return;
+    const wait = Math.max(0, this.lastCameraSent + this.options.cameraInterval - Date.now());
+    this.cameraTimer = setTimeout(() => {
+      this.cameraTimer = null;
+      if (!this.pendingCamera || !this.isPresenter()) return;
+      this.post({ kind: 'camera', camera: this.pendingCamera });
+      this.pendingCamera = null;
+      this.lastCameraSent = Date.now();
+    }, wait);
+  }
+
+  // 广播主讲人的选择；非主讲人时忽略 (Broadcast the presenter's selection)
+  public shareSelection(selection: SelectedNode[]) {
+    if (this.isPresenter()) this.post({ kind: 'selection', selection });
+  }
+
+  /**
+   * 广播本地执行的场景操作，非幂等的操作不广播
+   * @param action 操作名称
+   * @param parameters 操作参数，应为绝对值
+   * @param target 目标对象
+   */
+  public shareOperation(action: string, parameters: Record<string, any>, target?: string) {
+    if (!this.self) return;
+    if (!isIdempotentOperation(action, parameters)) {
+      console.warn(`非幂等的操作不能广播到协同会话，请先转换为绝对值: ${action}`, parameters);
+      return;
+    }
+
+    const operation: SessionOperation = {
+      id: createMessageId('op'),
+      action,
+      parameters,
+      ...(target ? { target } : {}),
+      clock: ++this.clock,
+      from: this.self.id
+    };
+    this.propertyKeys(operation).forEach(({ key }) => {
+      this.applied.set(key, { clock: operation.clock, from: operation.from });
+    });
+    this.post({ kind: 'operation', operation });
+  }
+
+  public getStatus(): SessionStatus {
+    return {
+      connected: this.relay !== null,
+      relay: this.relay?.name ?? null,
+      sessionId: this.sessionId,
+      self: this.self,
+      peers: [...this.peers.values()]
+        .map(({ lastSeen, ...peer }) => peer)
+        .sort((a, b) => a.joinedAt - b.joinedAt),
+      presenterId: this.presenterId,
+      following: this.following,
+      conflicts: this.conflicts,
+      lastConflict: this.lastConflict
+    };
+  }
+
+  // 监听会话状态变化，返回取消监听函数 (Listen for status changes; returns an unsubscribe function)
+  public onChange(listener: (status: SessionStatus) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public dispose() {
+    this.leave();
+    this.listeners.clear();
+  }
+
+  private receive(message: SessionMessage) {
+    if (!this.self || message.sessionId !== this.sessionId || message.from === this.self.id) return;
+
+    const peer = this.peers.get(message.from);
+    if (peer) peer.lastSeen = Date.now();
+
+    switch (message.kind) {
+      case 'hello': {
+        const isNew = !peer;
+        this.peers.set(message.from, { ...message.peer, lastSeen: Date.now() });
+        if (message.presenter) this.presenterId = message.from;
+        // 新成员加入时回复自己的在线状态
+        if (isNew && !message.reply) this.sendHello(true);
+        this.notify();
+        break;
+      }
+      case 'leave':
+        this.removePeer(message.from);
+        break;
+      case 'presenter':
+        this.presenterId = message.presenterId;
+        this.notify();
+        break;
+      case 'camera':
+        if (this.following && message.from === this.presenterId) this.bindings.applyCamera(message.camera);
+        break;
+      case 'selection':
+        if (this.following && message.from === this.presenterId) this.bindings.applySelection(message.selection);
+        break;
+      case 'operation':
+        this.receiveOperation(message.operation);
+        break;
+      case 'sync_request':
+        if (this.isSyncResponder(message.from)) {
+          this.post({ kind: 'sync', to: message.from, state: this.bindings.captureState(), clock: this.clock });
+        }
+        break;
+      case 'sync':
+        if (message.to === this.self.id && !this.synced) {
+          this.synced = true;
+          this.clock = Math.max(this.clock, message.clock);
+          Promise.resolve(this.bindings.applyState(message.state))
+            .catch(error => console.error('同步会话状态失败:', error));
+        }
+        break;
+    }
+  }
+
+  // 按Lamport时钟逐个属性决定胜者，只执行胜出的属性 (Resolve each property by Lamport clock and apply only the winners)
+  private receiveOperation(operation: SessionOperation) {
+    this.clock = Math.max(this.clock, operation.clock);
+    if (!isIdempotentOperation(operation.action, operation.parameters)) {
+      console.warn(`忽略非幂等的会话操作${operation.action}:`, operation);
+      return;
+    }
+
+    const keys = this.propertyKeys(operation);
+    const winning = keys.filter(({ key }) => {
+      const last = this.applied.get(key);
+      return !last || operation.clock > last.clock
+        || (operation.clock === last.clock && operation.from > last.from);
+    });
+
+    if (winning.length < keys.length) {
+      const lost = keys.find(item => !winning.includes(item))!;
+      this.conflicts++;
+      this.lastConflict = { operation, winner: this.applied.get(lost.key)!.from, timestamp: Date.now() };
+      console.warn(`会话操作冲突，已丢弃较早的${keys.length - winning.length}个属性:`, operation);
+      this.notify();
+    }
+    if (winning.length === 0) return;
+
+    winning.forEach(({ key }) => this.applied.set(key, { clock: operation.clock, from: operation.from }));
+    const identity = IDENTITY_PARAMETERS[operation.action] ?? [];
+    const applied = winning.length === keys.length ? operation : {
+      ...operation,
+      parameters: Object.fromEntries(Object.entries(operation.parameters).filter(([name]) =>
+        identity.includes(name) || winning.some(item => item.parameter === name)))
+    };
+    Promise.resolve(this.bindings.applyOperation(applied))
+      .catch(error => console.error(`执行会话操作${operation.action}失败:`, error));
+  }
+
+  // 同步请求由主讲人响应，没有主讲人时由最早加入的成员响应 (The presenter answers sync requests, otherwise the earliest peer)
+  private isSyncResponder(requester: string): boolean {
+    if (!this.self) return false;
+    if (this.presenterId && this.presenterId !== requester) return this.isPresenter();
+
+    const candidates = [this.self, ...this.peers.values()].filter(peer => peer.id !== requester);
+    candidates.sort((a, b) => a.joinedAt - b.joinedAt || a.id.localeCompare(b.id));
+    return candidates[0]?.id === this.self.id;
+  }
+
+  // 操作设置的各个属性的键，parameter为对应的参数名 (Keys of the properties an operation sets)
+  private propertyKeys(operation: SessionOperation): Array<{ key: string, parameter: string | null }> {
+    const identity = IDENTITY_PARAMETERS[operation.action] ?? [];
+    const scope = [operation.action, operation.target ?? '', ...identity.map(name => operation.parameters[name] ?? '')].join(':');
+    if (WHOLE_OPERATIONS.includes(operation.action)) return [{ key: scope, parameter: null }];
+
+    const properties = Object.keys(operation.parameters).filter(name => !identity.includes(name));
+    return properties.length > 0
+      ? properties.map(name => ({ key: `${scope}:${name}`, parameter: name }))
+      : [{ key: scope, parameter: null }];
+  }
+
+  private heartbeat() {
+    const now = Date.now();
+    [...this.peers.values()]
+      .filter(peer => now - peer.lastSeen > this.options.peerTimeout)
+      .forEach(peer => this.removePeer(peer.id));
+    this.sendHello();
+  }
+
+  private removePeer(id: string) {
+    if (!this.peers.delete(id)) return;
+    if (this.presenterId === id) {
+      this.presenterId = null;
+      this.following = false;
+    }
+    this.notify();
+  }
+
+  private sendHello(reply = false) {
+    if (!this.self) return;
+    this.post({ kind: 'hello', peer: this.self, presenter: this.isPresenter(), ...(reply ? { reply } : {}) });
+  }
+
+  private post(message: OutgoingMessage) {
+    if (!this.relay || !this.sessionId || !this.self) return;
+    try {
+      this.relay.send({ ...message, sessionId: this.sessionId, from: this.self.id } as SessionMessage);
+    } catch (error) {
+      console.warn('发送会话消息失败:', error);
+    }
+  }
+
+  private notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+export default CollabSession;
@@ -0,0 +1,171 @@
+/**
+ * 批量命令
+ * (Command Batches)
+ *
+ * 按顺序或并行执行一组命令，并返回每一步的结果。原子批量在执行前由各参与方记录
+ * 相机和场景状态，任一步失败时按相反顺序恢复，撤销已执行步骤造成的变更。
+ */
+import type { ModelActionResult } from './ModelActions';
+
+export type BatchMode = 'sequential' | 'parallel';
+
+// 批量中的一步 (A step in a batch)
+export interface BatchStep {
+  action: string;
+  parameters?: Record<string, any>;
+  target?: string;
+}
+
+export type BatchStepStatus = 'success' | 'failed' | 'skipped' | 'rolled_back';
+
+// 单步结果 (Step result)
+export interface BatchStepResult {
+  index: number;
+  action: string;
+  target?: string;
+  status: BatchStepStatus;
+  result?: ModelActionResult;
+}
+
+// 批量选项 (Batch options)
+export interface BatchOptions {
+  mode?: BatchMode;
+  // 任一步失败时回滚已执行的步骤
+  atomic?: boolean;
+  // 非原子的顺序批量在失败后是否继续执行后续步骤，默认true
+  continueOnError?: boolean;
+}
+
+// 批量结果 (Batch report)
+export interface BatchReport {
+  mode: BatchMode;
+  atomic: boolean;
+  total: number;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  rolledBack: boolean;
+  // 回滚时恢复失败的参与方
+  rollbackErrors: string[];
+  steps: BatchStepResult[];
+}
+
+/**
+ * 事务参与方：capture记录当前状态并返回恢复函数
+ * (Transaction participant: capture records the current state and returns a restore function)
+ */
+export interface TransactionParticipant {
+  name: string;
+  capture: () => () => void;
+}
+
+// 无法回滚的操作，不能用于原子批量 (Actions that cannot be rolled back)
+export const IRREVERSIBLE_ACTIONS: readonly string[] = ['load_model'];
+
+// 场景事务 (Scene transaction)
+export class SceneTransaction {
+  private restorers: Array<{ name: string, restore: () => void }>;
+
+  constructor(participants: TransactionParticipant[]) {
+    this.restorers = participants.map(participant => ({ name: participant.name, restore: participant.capture() }));
+  }
+
+  /**
+   * 按记录的相反顺序恢复状态
+   * @returns 恢复失败的参与方名称
+   */
+  public rollback(): string[] {
+    const failed: string[] = [];
+    [...this.restorers].reverse().forEach(({ name, restore }) => {
+      try {
+        restore();
+      } catch (error) {
+        console.error(`回滚${name}失败:`, error);
+        failed.push(name);
+      }
+    });
+    return failed;
+  }
+}
+
+/**
+ * 执行批量命令
+ * @param steps 步骤
+ * @param execute 执行单步命令
+ * @param participants 原子批量的事务参与方
+ * @param options 批量选项
+ */
+export async function runBatch(
+  steps: BatchStep[],
+  execute: (step: BatchStep) => Promise<ModelActionResult>,
+  participants: TransactionParticipant[],
+  options: BatchOptions = {}
+): Promise<BatchReport> {
+  const mode: BatchMode = options.mode === 'parallel' ? 'parallel' : 'sequential';
+  const atomic = options.atomic === true;
+  const continueOnError = !atomic && options.continueOnError !== false;
+
+  if (atomic) {
+    const irreversible = steps.find(step => IRREVERSIBLE_ACTIONS.includes(step.action));
+    if (irreversible) {
+      throw new Error(`${irreversible.action}无法回滚，不能用于原子批量命令`);
+    }
+  }
+
+  const transaction = atomic ? new SceneTransaction(participants) : null;
+  const results: BatchStepResult[] = steps.map((step, index) => ({
+    index,
+    action: step.action,
+    ...(step.target ? { target: step.target } : {}),
+    status: 'skipped'
+  }));
+
+  // 单步执行出错时转为失败结果 (Convert thrown errors into failed results)
+  const runStep = async (step: BatchStep, index: number) => {
+    let result: ModelActionResult;
+    try {
+      result = await execute(step);
+    } catch (error) {
+      result = {
+        success: false,
+        action: step.action,
+        error: error instanceof Error ? error.message : String(error)
+      };
+    }
+    results[index].status = result.success ? 'success' : 'failed';
+    results[index].result = result;
+    return result.success;
+  };
+
+  if (mode === 'parallel') {
+    await Promise.all(steps.map(runStep));
+  } else {
+    for (let index = 0; index < steps.length; index++) {
+      const success = await runStep(steps[index], index);
+      if (!success && !continueOnError) break;
+    }
+  }
+
+  const failed = results.filter(step => step.status === 'failed').length;
+  let rollbackErrors: string[] = [];
+  if (transaction && failed > 0) {
+    rollbackErrors = transaction.rollback();
+    results.forEach((step) => {
+      if (step.status === 'success') step.status = 'rolled_back';
+    });
+  }
+
+  return {
+    mode,
+    atomic,
+    total: steps.length,
+    succeeded: results.filter(step => step.status === 'success').length,
+    failed,
+    skipped: results.filter(step => step.status === 'skipped').length,
+    rolledBack: !!transaction && failed > 0,
+    rollbackErrors,
+    steps: results
+  };
+}
+
+export default runBatch;
@@ -0,0 +1,234 @@
+/**
+ * 操作历史
+ * (Undo/Redo History)
+ *
+ * 每次操作前由事务参与方记录相机和场景状态，形成可撤销的历史记录。撤销时先记录当前状态
+ * 作为重做点，再恢复操作前的状态；重做反之。嵌套的操作（如批量命令中的子命令）
+ * 只记录最外层的一条：操作同步执行期间的嵌套调用自动归入外层记录，异步的嵌套调用需传入
+ * 外层记录的作用域；同时进行的其他操作（如异步操作期间的拖拽或远程命令）各自记录。
+ */
+import { SceneTransaction, type TransactionParticipant } from './CommandBatch';
+
+// 操作来源 (Operation source)
+export type HistorySource = 'local' | 'panel' | 'chat' | 'remote' | 'canvas' | 'session';
+
+// 历史记录 (History entry)
+export interface HistoryEntry {
+  id: string;
+  label: string;
+  source: HistorySource;
+  // 对应CommandStateManager中的命令ID
+  commandId?: string;
+  timestamp: number;
+}
+
+// 历史状态 (History status)
+export interface HistoryStatus {
+  canUndo: boolean;
+  canRedo: boolean;
+  undoLabel: string | null;
+  redoLabel: string | null;
+  size: number;
+}
+
+// 一次记录的作用域，传给嵌套的操作使其并入该记录 (Scope of one recording, passed to nested operations)
+export interface HistoryScope {
+  readonly id: number;
+}
+
+export interface RecordOptions<T> {
+  source?: HistorySource;
+  commandId?: string;
+  // 外层记录的作用域，传入时不单独记录
+  scope?: HistoryScope;
+  // 操作改变的节点名称，传给事务参与方；未指定时记录全部节点
+  targets?: string[];
+  // 判断操作是否成功，失败的操作不记录
+  isSuccess?: (result: T) => boolean;
+}
+
+interface StackEntry extends HistoryEntry {
+  transaction: SceneTransaction;
+}
+
+// 默认的成功判断：false或{success: false}视为失败 (Default success check)
+const defaultIsSuccess = (result: any): boolean =>
+  result !== false && !(result && typeof result === 'object' && result.success === false);
+
+export class CommandHistory {
+  private undoStack: StackEntry[] = [];
+  private redoStack: StackEntry[] = [];
+  // 正在同步执行的记录的作用域 (Scope of the recording whose run is executing synchronously)
+  private current: HistoryScope | null = null;
+  private restoring = false;
+  private nextId = 1;
+  private nextScope = 1;
+  // 每次清空历史递增，操作期间历史被清空（如加载了新模型）时不记录该操作
+  private generation = 0;
+  private limit: number;
+  private participants: (targets?: string[]) => TransactionParticipant[];
+  private listeners = new Set<(status: HistoryStatus) => void>();
+
+  /**
+   * @param participants 返回事务参与方，每次记录时以操作改变的节点名称调用
+   * @param options.limit 最多保留的历史记录数，默认100
+   */
+  constructor(participants: (targets?: string[]) => TransactionParticipant[], options: { limit?: number } = {}) {
+    this.participants = participants;
+    this.limit = options.limit ?? 100;
+  }
+
+  /**
+   * 执行操作并记录历史，支持同步和异步操作
+   * @param label 操作名称
+   * @param run 操作，参数为本次记录的作用域，异步执行的嵌套操作需通过options.scope传回
+   * @param options 记录选项
+   */
+  public record<T>(label: string, run: (scope: HistoryScope) => T, options: RecordOptions<Awaited<T>> = {}): T {
+    const parent = options.scope ?? this.current;
+    if (parent || this.restoring) {
+      return this.runIn(parent ?? { id: this.nextScope++ }, run);
+    }
+
+    const scope: HistoryScope = { id: this.nextScope++ };
+    const transaction = new SceneTransaction(this.participants(options.targets));
+    const generation = this.generation;
+    const isSuccess = options.isSuccess || defaultIsSuccess;
+    const finish = (result: Awaited<T>) => {
+      if (isSuccess(result) && generation === this.generation) {
+        this.push(label, transaction, options);
+      }
+      return result;
+    };
+
+    const result = this.runIn(scope, run);
+    if (result instanceof Promise) {
+      return result.then(finish) as T;
+    }
+    return finish(result as Awaited<T>) as T;
+  }
+
+  // 同步执行期间将作用域设为当前作用域 (Make the scope current while run executes synchronously)
+  private runIn<T>(scope: HistoryScope, run: (scope: HistoryScope) => T): T {
+    const outer = this.current;
+    this.current = scope;
+    try {
+      return run(scope);
+    } finally {
+      this.current = outer;
+    }
+  }
+
+  /**
+   * 开始一次跨越多个事件的记录，如相机拖拽；交互产生变化时调用返回的函数提交
+   * @param label 操作名称
+   * @param source 操作来源
+   * @returns 提交函数
+   */
+  public begin(label: string, source: HistorySource = 'local'): () => void {
+    const transaction = this.restoring ? null : new SceneTransaction(this.participants());
+    const generation = this.generation;
+    return () => {
+      if (transaction && !this.restoring && generation === this.generation) this.push(label, transaction, { source });
+    };
+  }
+
+  /**
+   * 撤销最近的操作
+   * @param steps 撤销步数
+   * @returns 被撤销的记录
+   */
+  public undo(steps = 1): HistoryEntry[] {
+    return this.move(this.undoStack, this.redoStack, steps);
+  }
+
+  /**
+   * 重做最近撤销的操作
+   * @param steps 重做步数
+   * @returns 被重做的记录
+   */
+  public redo(steps = 1): HistoryEntry[] {
+    return this.move(this.redoStack, this.undoStack, steps);
+  }
+
+  public getStatus(): HistoryStatus {
+    return {
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0,
+      undoLabel: this.undoStack[this.undoStack.length - 1]?.label ?? null,
+      redoLabel: this.redoStack[this.redoStack.length - 1]?.label ?? null,
+      size: this.undoStack.length
+    };
+  }
+
+  // 历史记录，最近的在后 (History entries, most recent last)
+  public list(): HistoryEntry[] {
+    return this.undoStack.map(entry => this.toEntry(entry));
+  }
+
+  public clear() {
+    this.generation++;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  // 监听历史变化，返回取消监听函数 (Listen for history changes; returns an unsubscribe function)
+  public onChange(listener: (status: HistoryStatus) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public dispose() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.listeners.clear();
+  }
+
+  private push(label: string, transaction: SceneTransaction, options: RecordOptions<any>) {
+    this.undoStack.push({
+      id: `history_${this.nextId++}`,
+      label,
+      source: options.source || 'local',
+      ...(options.commandId ? { commandId: options.commandId } : {}),
+      timestamp: Date.now(),
+      transaction
+    });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+  }
+
+  // 从一个栈取出记录并恢复，同时把当前状态压入另一个栈 (Pop, restore and push the current state onto the other stack)
+  private move(from: StackEntry[], to: StackEntry[], steps: number): HistoryEntry[] {
+    const moved: HistoryEntry[] = [];
+    this.restoring = true;
+    try {
+      for (let i = 0; i < steps && from.length > 0; i++) {
+        const entry = from.pop()!;
+        const current = new SceneTransaction(this.participants());
+        entry.transaction.rollback();
+        to.push({ ...entry, transaction: current });
+        moved.push(this.toEntry(entry));
+      }
+    } finally {
+      this.restoring = false;
+    }
+
+    if (moved.length > 0) this.notify();
+    return moved;
+  }
+
+  private toEntry({ transaction, ...entry }: StackEntry): HistoryEntry {
+    return entry;
+  }
+
+  private notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+export default CommandHistory;
@@ -0,0 +1,428 @@
+/**
+ * 命令宏
+ * (Command Macros)
+ *
+ * 录制器记录执行过的命令及其间隔，保存为命名的宏；宏可编辑为JSON，参数中的
+ * {name}占位符在回放时替换为实际值。回放器按记录的间隔依次执行各步，可随时停止；
+ * 宏按名称保存在localStorage中。
+ */
+import type { ModelActionResult } from './ModelActions';
+
+// 宏中的一步 (A step in a macro)
+export interface MacroStep {
+  action: string;
+  parameters: Record<string, any>;
+  target?: string;
+  // 距上一步的间隔（毫秒）
+  delay: number;
+}
+
+// 宏 (Macro)
+export interface CommandMacro {
+  name: string;
+  description?: string;
+  // 占位符参数名
+  params: string[];
+  steps: MacroStep[];
+}
+
+// 录制状态 (Recording status)
+export interface MacroRecorderStatus {
+  recording: boolean;
+  name: string | null;
+  steps: number;
+}
+
+// 回放状态 (Playback status)
+export interface MacroPlayerStatus {
+  name: string | null;
+  playing: boolean;
+  index: number;
+  total: number;
+  error: string | null;
+}
+
+// 单步回放结果 (Step playback result)
+export interface MacroStepResult {
+  index: number;
+  action: string;
+  result: ModelActionResult;
+}
+
+// 回放结果 (Playback report)
+export interface MacroReport {
+  name: string;
+  completed: boolean;
+  stopped: boolean;
+  steps: MacroStepResult[];
+}
+
+const STORAGE_KEY = 'command_macros';
+const PLACEHOLDER = /\{(\w+)\}/g;
+const WHOLE_PLACEHOLDER = /^\{(\w+)\}$/;
+
+// 遍历值中的字符串 (Visit every string inside a value)
+const visitStrings = (value: any, visit: (text: string) => void) => {
+  if (typeof value === 'string') {
+    visit(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => visitStrings(item, visit));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => visitStrings(item, visit));
+  }
+};
+
+/**
+ * 查找步骤中使用的占位符参数名
+ * @param steps 宏步骤
+ */
+export function findPlaceholders(steps: Array<Pick<MacroStep, 'parameters' | 'target'>>): string[] {
+  const names = new Set<string>();
+  steps.forEach((step) => {
+    visitStrings([step.parameters, step.target], (text) => {
+      for (const match of text.matchAll(PLACEHOLDER)) names.add(match[1]);
+    });
+  });
+  return [...names];
+}
+
+/**
+ * 替换值中的占位符，整个字符串为占位符时保留参数原始类型
+ * @param value 参数值
+ * @param args 占位符参数
+ * @throws 缺少占位符参数时
+ */
+export function applyMacroArgs<T>(value: T, args: Record<string, any>): T {
+  const resolve = (name: string) => {
+    if (!Object.prototype.hasOwnProperty.call(args, name)) {
+      throw new Error(`缺少宏参数: ${name}`);
+    }
+    return args[name];
+  };
+
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole) return resolve(whole[1]);
+    return value.replace(PLACEHOLDER, (_, name: string) => String(resolve(name))) as T;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => applyMacroArgs(item, args)) as T;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, applyMacroArgs(item, args)])
+    ) as T;
+  }
+  return value;
+}
+
+/**
+ * 校验宏数据并补全默认值
+ * @param data 宏JSON
+ */
+export function validateMacro(data: any): CommandMacro {
+  if (!data || typeof data.name !== 'string' || !data.name.trim() || !Array.isArray(data.steps)) {
+    throw new Error('无效的宏：缺少name或steps');
+  }
+  if (data.steps.length === 0) {
+    throw new Error(`宏${data.name}没有步骤`);
+  }
+
+  const steps = data.steps.map((step: any, index: number): MacroStep => {
+    if (typeof step?.action !== 'string' || !step.action) {
+      throw new Error(`宏步骤${index + 1}缺少action`);
+    }
+    if (step.action === 'macro') {
+      throw new Error(`宏步骤${index + 1}不能嵌套执行宏`);
+    }
+
+    return {
+      action: step.action,
+      parameters: step.parameters && typeof step.parameters === 'object' ? step.parameters : {},
+      ...(typeof step.target === 'string' && step.target ? { target: step.target } : {}),
+      delay: Math.max(0, Number(step.delay) || 0)
+    };
+  });
+
+  return {
+    name: data.name.trim(),
+    ...(data.description ? { description: String(data.description) } : {}),
+    params: findPlaceholders(steps),
+    steps
+  };
+}
+
+// 宏录制器 (Macro recorder)
+export class MacroRecorder {
+  private name: string | null = null;
+  private steps: MacroStep[] = [];
+  private lastTime = 0;
+  private listeners = new Set<(status: MacroRecorderStatus) => void>();
+
+  // 开始录制，丢弃未完成的录制 (Start recording, discarding any unfinished one)
+  public start(name: string) {
+    this.name = name.trim() || '未命名宏';
+    this.steps = [];
+    this.lastTime = 0;
+    this.notify();
+  }
+
+  /**
+   * 记录一条已执行的命令，未在录制时忽略
+   * @param step 命令
+   */
+  public capture(step: { action: string, parameters?: Record<string, any>, target?: string }) {
+    if (this.name === null || step.action === 'macro') return;
+
+    const now = Date.now();
+    this.steps.push({
+      action: step.action,
+      parameters: JSON.parse(JSON.stringify(step.parameters || {})),
+      ...(step.target ? { target: step.target } : {}),
+      delay: this.steps.length > 0 ? now - this.lastTime : 0
+    });
+    this.lastTime = now;
+    this.notify();
+  }
+
+  /**
+   * 结束录制
+   * @returns 录制的宏，没有录制到命令时返回null
+   */
+  public stop(): CommandMacro | null {
+    if (this.name === null) return null;
+
+    const macro = this.steps.length > 0 ? validateMacro({ name: this.name, steps: this.steps }) : null;
+    this.name = null;
+    this.steps = [];
+    this.notify();
+    return macro;
+  }
+
+  public isRecording(): boolean {
+    return this.name !== null;
+  }
+
+  public getStatus(): MacroRecorderStatus {
+    return { recording: this.name !== null, name: this.name, steps: this.steps.length };
+  }
+
+  // 监听录制状态变化，返回取消监听函数 (Listen for status changes; returns an unsubscribe function)
+  public onChange(listener: (status: MacroRecorderStatus) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public dispose() {
+    this.name = null;
+    this.steps = [];
+    this.listeners.clear();
+  }
+
+  private notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+// 宏回放器 (Macro player)
+export class MacroPlayer {
+  private macro: CommandMacro | null = null;
+  private index = 0;
+  private error: string | null = null;
+  // 每次回放递增，用于让已停止的回放退出
+  private run = 0;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private wake: (() => void) | null = null;
+  private execute: (step: MacroStep) => Promise<ModelActionResult>;
+  private listeners = new Set<(status: MacroPlayerStatus) => void>();
+
+  /**
+   * @param execute 执行单步命令
+   */
+  constructor(execute: (step: MacroStep) => Promise<ModelActionResult>) {
+    this.execute = execute;
+  }
+
+  /**
+   * 回放宏，任一步失败时停止；正在回放的宏会被停止
+   * @param data 宏
+   * @param args 占位符参数
+   * @throws 宏无效或缺少占位符参数时
+   */
+  public async play(data: CommandMacro, args: Record<string, any> = {}): Promise<MacroReport> {
+    const macro = validateMacro(data);
+    const steps = macro.steps.map(step => ({
+      ...step,
+      parameters: applyMacroArgs(step.parameters, args),
+      ...(step.target ? { target: applyMacroArgs(step.target, args) } : {})
+    }));
+
+    this.stop();
+    const run = ++this.run;
+    this.macro = macro;
+    this.index = 0;
+    this.error = null;
+    this.notify();
+
+    const results: MacroStepResult[] = [];
+    for (let index = 0; index < steps.length; index++) {
+      await this.wait(steps[index].delay);
+      if (run !== this.run) break;
+
+      this.index = index;
+      this.notify();
+      const result = await this.execute(steps[index]).catch((error): ModelActionResult => ({
+        success: false,
+        action: steps[index].action,
+        error: error instanceof Error ? error.message : String(error)
+      }));
+      if (run !== this.run) break;
+
+      results.push({ index, action: steps[index].action, result });
+      if (!result.success) {
+        this.error = `步骤${index + 1}(${result.action})失败: ${result.error || '未知错误'}`;
+        break;
+      }
+    }
+
+    const stopped = run !== this.run;
+    if (!stopped) {
+      this.macro = null;
+      this.notify();
+    }
+    return {
+      name: macro.name,
+      completed: results.length === steps.length && results.every(step => step.result.success),
+      stopped,
+      steps: results
+    };
+  }
+
+  // 停止回放，正在执行的步骤完成后不再继续 (Stop playback; no further steps run)
+  public stop() {
+    if (!this.macro) return;
+    this.run++;
+    this.macro = null;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.wake?.();
+    this.wake = null;
+    this.notify();
+  }
+
+  public isPlaying(): boolean {
+    return this.macro !== null;
+  }
+
+  public getStatus(): MacroPlayerStatus {
+    return {
+      name: this.macro?.name ?? null,
+      playing: this.macro !== null,
+      index: this.index,
+      total: this.macro?.steps.length ?? 0,
+      error: this.error
+    };
+  }
+
+  // 监听回放状态变化，返回取消监听函数 (Listen for status changes; returns an unsubscribe function)
+  public onChange(listener: (status: MacroPlayerStatus) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public dispose() {
+    this.stop();
+    this.listeners.clear();
+  }
+
+  // 等待指定时长，停止回放时立即返回 (Wait, returning early when playback stops)
+  private wait(ms: number): Promise<void> {
+    if (ms <= 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.wake = resolve;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.wake = null;
+        resolve();
+      }, ms);
+    });
+  }
+
+  private notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+// 按名称保存在本地的宏库 (Macros saved locally by name)
+export class MacroLibrary {
+  private macros: CommandMacro[] = this.loadFromStorage();
+  private listeners = new Set<(macros: CommandMacro[]) => void>();
+
+  // 保存宏，同名宏被覆盖 (Save a macro, replacing one with the same name)
+  public save(data: any): CommandMacro {
+    const macro = validateMacro(data);
+    this.macros = [...this.macros.filter(item => item.name !== macro.name), macro];
+    this.persist();
+    return macro;
+  }
+
+  public get(name: string): CommandMacro | null {
+    return this.macros.find(macro => macro.name === name) ?? null;
+  }
+
+  public list(): CommandMacro[] {
+    return [...this.macros];
+  }
+
+  public remove(name: string): boolean {
+    const count = this.macros.length;
+    this.macros = this.macros.filter(macro => macro.name !== name);
+    if (this.macros.length === count) return false;
+
+    this.persist();
+    return true;
+  }
+
+  // 监听宏库变化，返回取消监听函数 (Listen for library changes; returns an unsubscribe function)
+  public onChange(listener: (macros: CommandMacro[]) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  private loadFromStorage(): CommandMacro[] {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(data)
+        ? data.flatMap((item) => {
+          try {
+            return [validateMacro(item)];
+          } catch {
+            return [];
+          }
+        })
+        : [];
+    } catch (error) {
+      console.error('读取宏失败:', error);
+      return [];
+    }
+  }
+
+  // 保存到本地存储并通知变化 (Persist to local storage and notify listeners)
+  private persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.macros));
+    } catch (error) {
+      console.error('保存宏失败:', error);
+    }
+
+    const macros = this.list();
+    this.listeners.forEach(listener => listener(macros));
+  }
+}
+
+// 单例 (Singleton)
+export const macroLibrary = new MacroLibrary();
+
+export default MacroPlayer;
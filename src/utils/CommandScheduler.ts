@@ -0,0 +1,365 @@
+/**
+ * 命令调度器
+ * (Command Scheduler)
+ *
+ * 按优先级依次执行服务端下发的命令：高优先级命令排在前面，紧急命令（如reset）会中断
+ * 正在执行的较低优先级命令并跳过等待；可按命令ID取消排队中或执行中的命令；每种操作
+ * 执行后的等待时长可单独配置。命令的每个生命周期阶段都会产生事件，供回传服务端和界面显示。
+ */
+// 优先级 (Priority levels)
+export const COMMAND_PRIORITIES = {
+  low: -10,
+  normal: 0,
+  high: 10,
+  urgent: 100
+} as const;
+
+export type PriorityLevel = keyof typeof COMMAND_PRIORITIES;
+
+// 各操作的默认优先级，未列出的为normal (Default priority per action)
+export const DEFAULT_ACTION_PRIORITIES: Record<string, number> = {
+  reset: COMMAND_PRIORITIES.urgent,
+  undo: COMMAND_PRIORITIES.high,
+  redo: COMMAND_PRIORITIES.high,
+  query_state: COMMAND_PRIORITIES.high,
+  load_model: COMMAND_PRIORITIES.low,
+  snapshot: COMMAND_PRIORITIES.low,
+  batch: COMMAND_PRIORITIES.low,
+  tour: COMMAND_PRIORITIES.low,
+  macro: COMMAND_PRIORITIES.low
+};
+
+// 各操作执行后的等待时长（毫秒），'*'为默认值 (Pacing after each action in ms; '*' is the default)
+export const DEFAULT_PACING: Record<string, number> = {
+  '*': 300,
+  rotate: 500,
+  zoom: 500,
+  focus: 1000,
+  reset: 1000,
+  goto_view: 1000,
+  query_state: 0
+};
+
+// 命令执行结果，场景操作为CommandResult (Command result; CommandResult for scene actions)
+export interface CommandResult {
+  success: boolean;
+  error?: string;
+  [key: string]: any;
+}
+
+export type CommandLifecycle = 'queued' | 'started' | 'progress' | 'done' | 'failed' | 'cancelled';
+
+// 命令请求 (Command request)
+export interface CommandRequest {
+  id: string;
+  action: string;
+  parameters?: Record<string, any>;
+  target?: string;
+  // 数值或优先级名称，未指定时按操作的默认优先级
+  priority?: number | PriorityLevel;
+  // 发送方指定的幂等键
+  idempotencyKey?: string;
+}
+
+// 调度中的命令 (Scheduled command)
+export interface ScheduledCommand {
+  id: string;
+  action: string;
+  parameters: Record<string, any>;
+  target?: string;
+  idempotencyKey?: string;
+  priority: number;
+  state: 'queued' | 'running';
+  enqueuedAt: number;
+  startedAt?: number;
+  // 0到1的进度，未报告进度时为null
+  progress: number | null;
+}
+
+// 生命周期事件 (Lifecycle event)
+export interface CommandEvent {
+  commandId: string;
+  action: string;
+  state: CommandLifecycle;
+  timestamp: number;
+  // 排队位置，从0开始
+  position?: number;
+  progress?: number;
+  detail?: any;
+  result?: CommandResult;
+  reason?: string;
+}
+
+// 执行上下文 (Execution context)
+export interface ExecutionContext {
+  // 命令被取消或中断时触发
+  signal: AbortSignal;
+  // 报告0到1的进度
+  progress: (value: number, detail?: any) => void;
+}
+
+export type CommandExecutor = (command: ScheduledCommand, context: ExecutionContext) => Promise<CommandResult>;
+
+// 调度器状态 (Scheduler status)
+export interface SchedulerStatus {
+  running: ScheduledCommand | null;
+  queued: ScheduledCommand[];
+  // 最近结束的命令，最新的在前
+  recent: CommandEvent[];
+}
+
+export interface SchedulerOptions {
+  priorities?: Record<string, number>;
+  pacing?: Record<string, number>;
+  // 达到该优先级的命令会中断正在执行的较低优先级命令，默认urgent
+  preemptPriority?: number;
+  // 保留的最近结束命令数，默认20
+  recentLimit?: number;
+}
+
+const FINISHED_STATES: CommandLifecycle[] = ['done', 'failed', 'cancelled'];
+
+export class CommandScheduler {
+  private queue: ScheduledCommand[] = [];
+  private running: { command: ScheduledCommand, controller: AbortController, settled: Promise<void> } | null = null;
+  // 已取消但尚未结束的执行，结束前不开始下一条命令 (A cancelled execution that has not settled yet)
+  private settling: Promise<void> | null = null;
+  private recent: CommandEvent[] = [];
+  private pacingTimer: ReturnType<typeof setTimeout> | null = null;
+  private endPacing: (() => void) | null = null;
+  private execute: CommandExecutor;
+  private priorities: Record<string, number>;
+  private pacing: Record<string, number>;
+  private preemptPriority: number;
+  private recentLimit: number;
+  private eventListeners = new Set<(event: CommandEvent) => void>();
+  private listeners = new Set<(status: SchedulerStatus) => void>();
+
+  /**
+   * @param execute 执行命令，应在signal触发时尽快停止
+   * @param options 调度选项
+   */
+  constructor(execute: CommandExecutor, options: SchedulerOptions = {}) {
+    this.execute = execute;
+    this.priorities = { ...DEFAULT_ACTION_PRIORITIES, ...options.priorities };
+    this.pacing = { ...DEFAULT_PACING, ...options.pacing };
+    this.preemptPriority = options.preemptPriority ?? COMMAND_PRIORITIES.urgent;
+    this.recentLimit = options.recentLimit ?? 20;
+  }
+
+  /**
+   * 将命令加入队列，紧急命令会中断正在执行的较低优先级命令
+   * @param request 命令请求
+   * @returns 调度中的命令，ID已在队列中或正在执行时返回null
+   */
+  public enqueue(request: CommandRequest): ScheduledCommand | null {
+    if (this.find(request.id)) {
+      console.warn(`命令${request.id}已在队列中，忽略重复命令`);
+      return null;
+    }
+
+    const command: ScheduledCommand = {
+      id: request.id,
+      action: request.action,
+      parameters: request.parameters || {},
+      ...(request.target ? { target: request.target } : {}),
+      ...(request.idempotencyKey ? { idempotencyKey: request.idempotencyKey } : {}),
+      priority: this.resolvePriority(request),
+      state: 'queued',
+      enqueuedAt: Date.now(),
+      progress: null
+    };
+
+    // 按优先级从高到低插入，同优先级先到先执行
+    const index = this.queue.findIndex(item => item.priority < command.priority);
+    const position = index === -1 ? this.queue.length : index;
+    this.queue.splice(position, 0, command);
+    this.emit({ commandId: command.id, action: command.action, state: 'queued', position });
+
+    if (command.priority >= this.preemptPriority) {
+      if (this.running && this.running.command.priority < command.priority) {
+        this.cancel(this.running.command.id, 'preempted');
+      }
+      this.skipPacing();
+    }
+
+    this.run();
+    return command;
+  }
+
+  /**
+   * 取消排队中或执行中的命令；执行中的命令立即产生cancelled事件，
+   * 但下一条命令要等它的执行函数结束后才开始，两条命令不会同时执行
+   * @param id 命令ID
+   * @param reason 取消原因
+   * @returns 是否找到并取消了命令
+   */
+  public cancel(id: string, reason = 'cancelled'): boolean {
+    const index = this.queue.findIndex(command => command.id === id);
+    if (index !== -1) {
+      const [command] = this.queue.splice(index, 1);
+      this.finish(command, { state: 'cancelled', reason });
+      return true;
+    }
+
+    if (this.running?.command.id === id) {
+      const { command, controller, settled } = this.running;
+      this.running = null;
+      controller.abort(reason);
+      this.finish(command, { state: 'cancelled', reason });
+
+      const settling = settled.then(() => {
+        if (this.settling !== settling) return;
+        this.settling = null;
+        this.run();
+      });
+      this.settling = settling;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 取消全部排队中和执行中的命令
+   * @param reason 取消原因
+   */
+  public clear(reason = 'cleared') {
+    [...this.queue].forEach(command => this.cancel(command.id, reason));
+    if (this.running) this.cancel(this.running.command.id, reason);
+  }
+
+  /**
+   * 设置操作执行后的等待时长
+   * @param action 操作名称，'*'为默认值
+   * @param ms 毫秒数
+   */
+  public setPacing(action: string, ms: number) {
+    this.pacing[action] = Math.max(0, ms);
+  }
+
+  public getPacing(action: string): number {
+    return this.pacing[action] ?? this.pacing['*'] ?? 0;
+  }
+
+  public find(id: string): ScheduledCommand | null {
+    if (this.running?.command.id === id) return this.running.command;
+    return this.queue.find(command => command.id === id) ?? null;
+  }
+
+  public getStatus(): SchedulerStatus {
+    return {
+      running: this.running ? { ...this.running.command } : null,
+      queued: this.queue.map(command => ({ ...command })),
+      recent: [...this.recent]
+    };
+  }
+
+  // 监听生命周期事件，返回取消监听函数 (Listen for lifecycle events; returns an unsubscribe function)
+  public onEvent(listener: (event: CommandEvent) => void): () => void {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  // 监听队列变化，返回取消监听函数 (Listen for queue changes; returns an unsubscribe function)
+  public onChange(listener: (status: SchedulerStatus) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // 空闲时开始执行队列中的下一条命令 (Start the next queued command when idle)
+  public run() {
+    if (this.running || this.settling || this.pacingTimer || this.queue.length === 0) return;
+
+    const command = this.queue.shift()!;
+    const controller = new AbortController();
+    command.state = 'running';
+    command.startedAt = Date.now();
+    const running = { command, controller, settled: Promise.resolve() };
+    this.running = running;
+    this.emit({ commandId: command.id, action: command.action, state: 'started' });
+
+    const context: ExecutionContext = {
+      signal: controller.signal,
+      progress: (value, detail) => {
+        if (controller.signal.aborted) return;
+        command.progress = Math.min(1, Math.max(0, value));
+        this.emit({
+          commandId: command.id,
+          action: command.action,
+          state: 'progress',
+          progress: command.progress,
+          ...(detail !== undefined ? { detail } : {})
+        });
+      }
+    };
+
+    running.settled = this.execute(command, context)
+      .catch((error): CommandResult => ({
+        success: false,
+        action: command.action,
+        error: error instanceof Error ? error.message : String(error)
+      }))
+      .then((result) => {
+        // 已取消的命令结束时不再产生事件
+        if (controller.signal.aborted) return;
+
+        this.running = null;
+        this.finish(command, { state: result.success ? 'done' : 'failed', result });
+        this.pace(command.action);
+      });
+  }
+
+  public dispose() {
+    this.clear('disposed');
+    this.settling = null;
+    this.skipPacing();
+    this.eventListeners.clear();
+    this.listeners.clear();
+  }
+
+  private resolvePriority(request: CommandRequest): number {
+    if (typeof request.priority === 'number' && Number.isFinite(request.priority)) return request.priority;
+    if (typeof request.priority === 'string' && request.priority in COMMAND_PRIORITIES) {
+      return COMMAND_PRIORITIES[request.priority];
+    }
+    return this.priorities[request.action] ?? COMMAND_PRIORITIES.normal;
+  }
+
+  // 按操作的等待时长延迟下一条命令 (Delay the next command by the action's pacing)
+  private pace(action: string) {
+    const delay = this.getPacing(action);
+    if (delay <= 0) {
+      this.run();
+      return;
+    }
+
+    this.endPacing = () => {
+      if (this.pacingTimer) clearTimeout(this.pacingTimer);
+      this.pacingTimer = null;
+      this.endPacing = null;
+      this.run();
+    };
+    this.pacingTimer = setTimeout(this.endPacing, delay);
+  }
+
+  private skipPacing() {
+    this.endPacing?.();
+  }
+
+  private finish(command: ScheduledCommand, event: Pick<CommandEvent, 'state' | 'result' | 'reason'>) {
+    this.emit({ commandId: command.id, action: command.action, ...event });
+  }
+
+  private emit(event: Omit<CommandEvent, 'timestamp'>) {
+    const full: CommandEvent = { ...event, timestamp: Date.now() };
+    if (FINISHED_STATES.includes(full.state)) {
+      this.recent = [full, ...this.recent].slice(0, this.recentLimit);
+    }
+
+    this.eventListeners.forEach(listener => listener(full));
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+export default CommandScheduler;
@@ -1,20 +1,45 @@
 /**
  * 命令状态管理器
  * 用于记录命令执行状态、防止重复执行和命令冲突
+ *
+ * 重复命令按操作配置的去重策略判断：
+ * - off: 不去重
+ * - key: 幂等键相同的命令只执行一次（默认）
+ * - similarity: 除幂等键外，时间窗口内参数相似的命令也视为重复
+ *
+ * 去重按实例进行：App、ChatDialog和ModelViewer各自创建实例，去重策略、已执行的幂等键和命令锁
+ * 互不共享。同一命令会依次经过这几层并各自登记为待处理，共用实例会使下一层把它当作正在执行的重复命令。
  */
+
+// 去重策略 (Dedupe modes)
+export const DEDUPE_MODES = ['off', 'key', 'similarity'];
+
+// 各操作的默认去重策略，'*'为默认值 (Default dedupe policy per action; '*' is the default)
+export const DEFAULT_DEDUPE_POLICIES = {
+  '*': { mode: 'key' }
+};
+
 export default class CommandStateManager {
   constructor(options = {}) {
     // 配置项
     this.options = {
-      // 记录保留时间（毫秒）
+      // 记录保留时间（毫秒），也是相似去重的默认时间窗口
       recordTTL: options.recordTTL || 5000,
       // 相似参数阈值
       similarityThreshold: options.similarityThreshold || 0.8,
+      // 幂等键保留时间（毫秒）
+      keyTTL: options.keyTTL || 10 * 60 * 1000,
       ...options
     };
 
+    // 各操作的去重策略
+    this.dedupePolicies = { ...DEFAULT_DEDUPE_POLICIES };
+    Object.entries(options.dedupePolicies || {}).forEach(([action, policy]) => this.setDedupePolicy(action, policy));
+
     // 已执行命令记录
     this.executedCommands = {};
+    // 已执行命令的幂等键
+    this.idempotencyKeys = {};
     // 待处理命令记录
     this.pendingCommands = {};
     // 命令锁状态
@@ -44,22 +69,28 @@ export default class CommandStateManager {
   cleanupExpiredRecords() {
     const now = Date.now();
     
-    // 清理已执行命令记录
+    // 清理已执行命令记录，保留到最长的相似去重时间窗口结束
+    const retention = Math.max(
+      this.options.recordTTL,
+      ...Object.values(this.dedupePolicies).map(policy => policy.window || 0)
+    );
     Object.keys(this.executedCommands).forEach(key => {
       const record = this.executedCommands[key];
-      if (now - record.timestamp > this.options.recordTTL) {
+      if (now - record.timestamp > retention) {
         delete this.executedCommands[key];
       }
     });
 
-    // 清理待处理命令记录
-    Object.keys(this.pendingCommands).forEach(key => {
-      const record = this.pendingCommands[key];
-      if (now - record.timestamp > this.options.recordTTL) {
-        delete this.pendingCommands[key];
+    // 清理过期的幂等键
+    Object.keys(this.idempotencyKeys).forEach(key => {
+      if (now - this.idempotencyKeys[key].timestamp > this.options.keyTTL) {
+        delete this.idempotencyKeys[key];
       }
     });
 
+    // 待处理命令记录不按时间清理，由markAsExecuted或discardCommand移除；
+    // 在调度队列中等待较久的命令仍需据此识别用同一幂等键重试的命令
+
     // 清理过期的锁
     if (this.locked && (now - this.lockTimestamp > this.maxLockTime)) {
       console.warn('命令锁已超时，强制释放');
@@ -67,31 +98,76 @@ export default class CommandStateManager {
     }
   }
 
+  /**
+   * 设置本实例中操作的去重策略
+   * @param {string} action 操作名称，'*'为默认值
+   * @param {{mode: string, window?: number}} policy 去重策略，window为相似去重的时间窗口（毫秒）
+   */
+  setDedupePolicy(action, policy) {
+    if (!DEDUPE_MODES.includes(policy?.mode)) {
+      throw new Error(`无效的去重策略: ${policy?.mode}`);
+    }
+    this.dedupePolicies[action] = { ...policy };
+  }
+
+  /**
+   * 获取操作的去重策略
+   * @param {string} action 操作名称
+   * @returns {{mode: string, window?: number}} 去重策略
+   */
+  getDedupePolicy(action) {
+    return this.dedupePolicies[action] || this.dedupePolicies['*'] || { mode: 'key' };
+  }
+
   /**
    * 注册一个待执行的命令
    * @param {string} operation 操作类型
    * @param {object} params 参数
+   * @param {{commandId?: string, idempotencyKey?: string}} [options] 使用指定的命令ID，以及命令携带的幂等键
    * @returns {string} 命令唯一标识
    */
-  registerCommand(operation, params = {}) {
-    const commandId = `${operation}-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+  registerCommand(operation, params = {}, options = {}) {
+    const commandId = options.commandId || `${operation}-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
     
     this.pendingCommands[commandId] = {
       operation,
       params,
+      ...(options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : {}),
       timestamp: Date.now()
     };
     
     return commandId;
   }
 
+  /**
+   * 丢弃未执行的命令记录，如命令被取消时
+   * @param {string} commandId 命令ID
+   */
+  discardCommand(commandId) {
+    delete this.pendingCommands[commandId];
+  }
+
   /**
    * 标记命令为已执行
    * @param {string} commandId 命令ID
    * @param {object} result 执行结果
+   * @param {{operation: string, params?: object, idempotencyKey?: string}} [command] 命令未注册时使用的命令信息
    */
-  markAsExecuted(commandId, result = {}) {
-    const pendingCommand = this.pendingCommands[commandId];
+  markAsExecuted(commandId, result = {}, command = null) {
+    const pendingCommand = this.pendingCommands[commandId] || (command && {
+      operation: command.operation,
+      params: command.params || {},
+      ...(command.idempotencyKey ? { idempotencyKey: command.idempotencyKey } : {})
+    });
+
+    // 失败的命令不占用幂等键，发送方可用同一键重试
+    if (pendingCommand?.idempotencyKey && result?.success !== false) {
+      this.idempotencyKeys[pendingCommand.idempotencyKey] = {
+        commandId,
+        operation: pendingCommand.operation,
+        timestamp: Date.now()
+      };
+    }
     
     if (!pendingCommand && !commandId.includes('-')) {
       // 如果是简单的操作类型，直接创建一个记录
@@ -130,25 +206,78 @@ export default class CommandStateManager {
   }
 
   /**
-   * 检查是否近期已执行过相似命令
+   * 按操作的去重策略检查命令是否重复
    * @param {string} operation 操作类型
    * @param {object} params 参数
-   * @returns {boolean} 是否存在相似命令
+   * @param {{idempotencyKey?: string, commandId?: string}} [options] 命令携带的幂等键；commandId为命令自身已注册的ID，不与自身比较
+   * @returns {object|null} 不重复时返回null，否则返回丢弃原因
+   *   {reason: 'duplicate_key'|'in_progress'|'similar_command', policy, message, previousCommandId, previousTimestamp, idempotencyKey?}
    */
-  isCommandExecuted(operation, params = {}) {
-    const now = Date.now();
-    
-    // 找出最近执行的相同类型命令
-    const recentCommands = Object.values(this.executedCommands)
-      .filter(cmd => 
-        cmd.operation === operation && 
-        now - cmd.timestamp < this.options.recordTTL
+  checkDuplicate(operation, params = {}, options = {}) {
+    const policy = this.getDedupePolicy(operation);
+    if (policy.mode === 'off') return null;
+
+    const { idempotencyKey, commandId } = options;
+    if (idempotencyKey) {
+      const executed = this.idempotencyKeys[idempotencyKey];
+      if (executed && executed.commandId !== commandId) {
+        return {
+          reason: 'duplicate_key',
+          policy: policy.mode,
+          idempotencyKey,
+          previousCommandId: executed.commandId,
+          previousTimestamp: executed.timestamp,
+          message: `幂等键${idempotencyKey}对应的命令已执行`
+        };
+      }
+
+      const pendingId = Object.keys(this.pendingCommands).find(id =>
+        id !== commandId && this.pendingCommands[id].idempotencyKey === idempotencyKey
       );
-    
-    // 检查是否有参数相似的命令
-    return recentCommands.some(cmd => 
-      this.areParamsSimilar(cmd.params, params, operation)
-    );
+      if (pendingId) {
+        return {
+          reason: 'in_progress',
+          policy: policy.mode,
+          idempotencyKey,
+          previousCommandId: pendingId,
+          previousTimestamp: this.pendingCommands[pendingId].timestamp,
+          message: `幂等键${idempotencyKey}对应的命令正在执行`
+        };
+      }
+    }
+
+    if (policy.mode !== 'similarity') return null;
+
+    // 找出时间窗口内执行的参数相似的相同类型命令
+    const now = Date.now();
+    const window = policy.window || this.options.recordTTL;
+    const similarId = Object.keys(this.executedCommands).find((id) => {
+      const cmd = this.executedCommands[id];
+      return cmd.operation === operation &&
+        now - cmd.timestamp < window &&
+        this.areParamsSimilar(cmd.params, params, operation);
+    });
+    if (!similarId) return null;
+
+    const similar = this.executedCommands[similarId];
+    return {
+      reason: 'similar_command',
+      policy: policy.mode,
+      previousCommandId: similarId,
+      previousTimestamp: similar.timestamp,
+      message: `${Math.round((now - similar.timestamp) / 1000)}秒内已执行过参数相似的${operation}命令`
+    };
+  }
+
+  /**
+   * 检查命令是否重复
+   * @param {string} operation 操作类型
+   * @param {object} params 参数
+   * @param {{idempotencyKey?: string, commandId?: string}} [options] 同checkDuplicate
+   * @returns {boolean} 是否重复
+   */
+  isCommandExecuted(operation, params = {}, options = {}) {
+    return this.checkDuplicate(operation, params, options) !== null;
   }
 
   /**
@@ -377,6 +506,7 @@ export default class CommandStateManager {
    */
   reset() {
     this.executedCommands = {};
+    this.idempotencyKeys = {};
     this.pendingCommands = {};
     this.releaseLock();
   }
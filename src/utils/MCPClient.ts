@@ -2,10 +2,13 @@
  * MCP客户端
  * (MCP Client)
  * 
- * 实现WebSocket连接和MCP协议处理
+ * 实现WebSocket连接和MCP协议处理，连接由统一传输层的mcp通道承载
  */
 
-import { ref, reactive } from 'vue';
+import { ref } from 'vue';
+import { mcpTransport, MCPRequestTimeoutError, type MCPTransportStatus } from './MCPTransport';
+import { createEnvelope, fromLegacy, toLegacy, type MCPEnvelope } from './MCPProtocol';
+import { getCapabilities } from './ActionSchemas';
 
 // MCP消息类型
 export interface MCPMessage {
@@ -32,10 +35,11 @@ export interface MCPCommand {
 // MCP连接状态
 export type MCPConnectionStatus = 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'error';
 
-// MCP客户端配置
+// MCP客户端配置，连接地址、重连和心跳由传输层配置决定
 export interface MCPClientConfig {
   serverUrl: string;
-  wsUrl: string;
+  wsUrl?: string;
+  // 以下选项已由传输层接管，保留以兼容旧配置
   autoReconnect?: boolean;
   reconnectDelay?: number;
   maxReconnectAttempts?: number;
@@ -46,9 +50,6 @@ export interface MCPClientConfig {
 
 // MCP客户端类
 export class MCPClient {
-  // WebSocket实例
-  private ws: WebSocket | null = null;
-  
   // 客户端ID
   private clientId: string | null = null;
   
@@ -58,26 +59,11 @@ export class MCPClient {
   // 配置
   private config: MCPClientConfig;
   
-  // 连接状态
-  private _status: MCPConnectionStatus = 'disconnected';
-  
   // 消息处理器
   private messageHandlers: Record<string, (message: MCPMessage) => void> = {};
   
-  // 命令回调
-  private commandCallbacks: Record<string, (result: any) => void> = {};
-  
-  // 重连尝试次数
-  private reconnectAttempts: number = 0;
-  
-  // 重连定时器
-  private reconnectTimer: number | null = null;
-  
-  // Ping定时器
-  private pingTimer: number | null = null;
-  
-  // 最后一次活动时间
-  private lastActivity: number = Date.now();
+  // 传输层订阅的取消函数
+  private unsubscribers: Array<() => void> = [];
   
   // 消息历史
   public messageHistory: MCPMessage[] = [];
@@ -91,13 +77,7 @@ export class MCPClient {
     // 安全初始化响应式对象
     this.safeInit();
     
-    this.config = {
-      autoReconnect: true,
-      reconnectDelay: 3000,
-      maxReconnectAttempts: 5,
-      pingInterval: 30000,
-      ...config
-    };
+    this.config = config;
     
     // 注册默认消息处理器
     this.registerMessageHandler('welcome', this.handleWelcome.bind(this));
@@ -133,69 +113,43 @@ export class MCPClient {
   
   // 连接到服务器
   public connect(): void {
-    if (this.ws && (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN)) {
+    if (this.unsubscribers.length > 0) {
       console.log('WebSocket已连接或正在连接 (WebSocket already connected or connecting)');
       return;
     }
     
     this.setStatus('connecting');
+    this.unsubscribers = [
+      mcpTransport.subscribe('mcp', this.handleEnvelope.bind(this)),
+      mcpTransport.onStatus((channel, status) => {
+        if (channel === 'mcp') this.handleTransportStatus(status);
+      })
+    ];
     
-    try {
-      console.log(`尝试连接到WebSocket服务器: ${this.config.wsUrl}`);
-      this.ws = new WebSocket(this.config.wsUrl);
-      
-      // 连接建立
-      this.ws.onopen = this.handleOpen.bind(this);
-      
-      // 接收消息
-      this.ws.onmessage = this.handleMessage.bind(this);
-      
-      // 连接关闭
-      this.ws.onclose = this.handleClose.bind(this);
-      
-      // 连接错误
-      this.ws.onerror = this.handleWsError.bind(this);
-    } catch (error) {
+    console.log('尝试连接到MCP通道 (Connecting to MCP channel)');
+    mcpTransport.open('mcp', this).catch((error) => {
+      // 传输层会按配置继续重连
       console.error('WebSocket连接失败 (WebSocket connection failed):', error);
-      this.setStatus('error');
       this.lastError.value = error instanceof Error ? error.message : String(error);
-      
-      // 自动重连
-      this.scheduleReconnect();
-    }
+    });
   }
   
   // 断开连接
   public disconnect(): void {
-    this.clearTimers();
-    
-    if (this.ws) {
-      try {
-        this.ws.close();
-      } catch (error) {
-        console.error('断开WebSocket连接时出错 (Error disconnecting WebSocket):', error);
-      }
-      
-      this.ws = null;
-    }
-    
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    mcpTransport.close('mcp', this);
     this.setStatus('disconnected');
   }
   
   // 重新连接
   public reconnect(): void {
     this.disconnect();
-    this.reconnectAttempts = 0;
     this.connect();
   }
   
   // 发送消息
   public sendMessage(message: MCPMessage): boolean {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      console.error('WebSocket未连接，无法发送消息 (WebSocket not connected, cannot send message)');
-      return false;
-    }
-    
     try {
       // 确保消息有ID和时间戳
       if (!message.id) {
@@ -206,8 +160,7 @@ export class MCPClient {
         message.timestamp = new Date().toISOString();
       }
       
-      this.ws.send(JSON.stringify(message));
-      this.lastActivity = Date.now();
+      mcpTransport.post(fromLegacy(message, 'mcp'));
       this.messageHistory.push(message);
       
       return true;
@@ -221,7 +174,8 @@ export class MCPClient {
   public sendInit(): void {
     this.sendMessage({
       type: 'init',
-      clientType: this.clientType
+      clientType: this.clientType,
+      capabilities: getCapabilities()
     });
   }
   
@@ -233,33 +187,33 @@ export class MCPClient {
     });
   }
   
-  // 执行命令
+  // 执行命令，响应通过关联ID匹配后交给回调
   public executeCommand(
     action: string, 
     parameters: Record<string, any> = {}, 
     target?: string, 
     callback?: (result: any) => void
   ): string {
-    const commandId = this.generateId('cmd');
-    
-    const command: MCPCommand = {
-      id: commandId,
+    const envelope = createEnvelope('command', 'mcp', {
       action,
       parameters,
       ...(target ? { target } : {})
-    };
-    
-    const message: MCPMessage = {
-      type: 'command',
-      command
-    };
+    });
+    this.messageHistory.push(toLegacy(envelope));
     
-    if (callback) {
-      this.commandCallbacks[commandId] = callback;
-    }
+    mcpTransport.request(envelope)
+      .then((result) => {
+        if (callback) callback(this.toMessage(result));
+      })
+      .catch((error) => {
+        if (error instanceof MCPRequestTimeoutError) {
+          console.warn(`命令响应超时 (Command response timeout): ${envelope.id}`);
+        } else {
+          console.error('发送命令时出错 (Error sending command):', error);
+        }
+      });
     
-    this.sendMessage(message);
-    return commandId;
+    return envelope.id;
   }
   
   // 注册消息处理器
@@ -274,12 +228,14 @@ export class MCPClient {
     return `${prefix}_${timestamp}_${random}`;
   }
   
+  // 信封转换为旧版消息格式 (Convert an envelope into the legacy message shape)
+  private toMessage(envelope: MCPEnvelope): MCPMessage {
+    return envelope.raw !== undefined && typeof envelope.raw === 'object' ? envelope.raw : toLegacy(envelope);
+  }
+  
   // 设置状态
   private setStatus(status: MCPConnectionStatus): void {
     try {
-      // 先更新内部状态
-      this._status = status;
-      
       // 安全地更新ref对象
       if (this.status && typeof this.status === 'object' && 'value' in this.status) {
         this.status.value = status;
@@ -307,130 +263,40 @@ export class MCPClient {
     }
   }
   
-  // 安排重连
-  private scheduleReconnect(): void {
-    if (!this.config.autoReconnect || this.reconnectAttempts >= (this.config.maxReconnectAttempts || 5)) {
-      console.log('已达到最大重连尝试次数或自动重连已禁用 (Maximum reconnect attempts reached or auto-reconnect disabled)');
+  // 传输层状态变化 (Transport status changes)
+  private handleTransportStatus(status: MCPTransportStatus): void {
+    // 连接建立后不立即设置为connected，等待welcome或connection_established消息
+    if (status === 'connected') {
+      console.log('WebSocket连接已建立 (WebSocket connection established)');
       return;
     }
     
-    this.clearTimers();
-    
-    this.reconnectAttempts++;
-    this.setStatus('reconnecting');
-    
-    const delay = this.config.reconnectDelay || 3000;
-    console.log(`计划在${delay}毫秒后重新连接 (Scheduling reconnect in ${delay}ms), 尝试次数: ${this.reconnectAttempts}`);
-    
-    this.reconnectTimer = window.setTimeout(() => {
-      this.connect();
-    }, delay);
-  }
-  
-  // 启动Ping定时器
-  private startPingTimer(): void {
-    this.clearTimers();
-    
-    if (this.config.pingInterval && this.config.pingInterval > 0) {
-      this.pingTimer = window.setInterval(() => {
-        // 检查最后活动时间，如果超过ping间隔的两倍，认为连接已断开
-        const inactiveTime = Date.now() - this.lastActivity;
-        if (inactiveTime > this.config.pingInterval! * 2) {
-          console.warn(`长时间无活动，重新连接 (Long inactivity, reconnecting), 不活动时间: ${inactiveTime}ms`);
-          this.reconnect();
-          return;
-        }
-        
-        this.sendPing();
-      }, this.config.pingInterval);
-    }
-  }
-  
-  // 清除定时器
-  private clearTimers(): void {
-    if (this.reconnectTimer !== null) {
-      window.clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
-    }
-    
-    if (this.pingTimer !== null) {
-      window.clearInterval(this.pingTimer);
-      this.pingTimer = null;
+    if (status === 'error') {
+      this.lastError.value = '连接错误';
     }
+    this.setStatus(status);
   }
   
-  // WebSocket事件处理器
-  private handleOpen(event: Event): void {
-    console.log('WebSocket连接已建立 (WebSocket connection established)');
-    this.reconnectAttempts = 0;
-    this.lastActivity = Date.now();
+  private handleEnvelope(envelope: MCPEnvelope): void {
+    const message = this.toMessage(envelope);
     
-    // 这里不立即设置状态为connected，等待welcome或connection_established消息
+    // 记录消息
+    this.messageHistory.push(message);
     
-    // 启动Ping定时器
-    this.startPingTimer();
-  }
-  
-  private handleMessage(event: MessageEvent): void {
-    try {
-      const message = JSON.parse(event.data) as MCPMessage;
-      this.lastActivity = Date.now();
-      
-      // 记录消息
-      this.messageHistory.push(message);
-      
-      // 触发消息回调
-      if (this.config.onMessage) {
-        this.config.onMessage(message);
-      }
-      
-      // 查找并调用消息处理器
-      const handler = this.messageHandlers[message.type];
-      if (handler) {
-        handler(message);
-      } else {
-        console.warn(`未知消息类型 (Unknown message type): ${message.type}`);
-      }
-    } catch (error) {
-      console.error('处理WebSocket消息时出错 (Error processing WebSocket message):', error);
+    // 触发消息回调
+    if (this.config.onMessage) {
+      this.config.onMessage(message);
     }
-  }
-  
-  private handleClose(event: CloseEvent): void {
-    console.log(`WebSocket连接已关闭 (WebSocket connection closed): 代码=${event.code}, 原因=${event.reason}`);
     
-    this.ws = null;
-    
-    if (event.code === 1000 || event.code === 1001) {
-      // 正常关闭，不重连
-      this.setStatus('disconnected');
-    } else if (event.code === 1006) {
-      // 非正常关闭（服务器无响应），增加日志，并降低重连频率
-      console.warn('WebSocket连接异常关闭 (代码1006)，可能是服务器不可达或网络问题');
-      this.setStatus('error');
-      this.lastError.value = `连接意外关闭 (代码1006)，可能是服务器未启动或网络问题`;
-      
-      // 增加重连延迟，避免频繁重试
-      const extendedDelay = (this.config.reconnectDelay || 3000) * 2;
-      setTimeout(() => {
-        this.scheduleReconnect();
-      }, 1000); // 先等待1秒再开始重连逻辑
-    } else {
-      // 其他异常关闭，尝试重连
-      this.setStatus('error');
-      this.lastError.value = `连接关闭: 代码=${event.code}, 原因=${event.reason}`;
-      this.scheduleReconnect();
+    // 查找并调用消息处理器
+    const handler = this.messageHandlers[message.type];
+    if (handler) {
+      handler(message);
+    } else if (envelope.type !== 'ping') {
+      console.warn(`未知消息类型 (Unknown message type): ${message.type}`);
     }
   }
   
-  private handleWsError(event: Event): void {
-    console.error('WebSocket错误 (WebSocket error):', event);
-    this.setStatus('error');
-    this.lastError.value = '连接错误';
-    
-    // WebSocket会在错误后自动关闭，所以不需要在这里调用scheduleReconnect
-  }
-  
   // 消息处理器
   private handleWelcome(message: MCPMessage): void {
     console.log('收到欢迎消息 (Welcome message received):', message);
@@ -451,7 +317,6 @@ export class MCPClient {
   
   private handlePong(message: MCPMessage): void {
     console.log('收到Pong响应 (Pong response received):', message);
-    this.lastActivity = Date.now();
   }
   
   private handleError(message: MCPMessage): void {
@@ -459,17 +324,9 @@ export class MCPClient {
     this.lastError.value = message.message || '未知错误';
   }
   
+  // 命令回调由executeCommand的关联请求处理
   private handleResponse(message: MCPMessage): void {
     console.log('收到命令响应 (Command response received):', message);
-    
-    const commandId = message.commandId;
-    if (commandId && this.commandCallbacks[commandId]) {
-      const callback = this.commandCallbacks[commandId];
-      callback(message);
-      
-      // 移除回调
-      delete this.commandCallbacks[commandId];
-    }
   }
   
   private handleCommand(message: MCPMessage): void {
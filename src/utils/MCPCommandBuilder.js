@@ -2,9 +2,11 @@
  * MCP命令构建器
  * (MCP Command Builder)
  * 
- * 提供标准化的MCP命令构建方法
+ * 提供标准化的MCP命令构建方法，参数按ActionSchemas中的模式校验
  */
 
+import { CommandValidationError, hasActionSchema, validateCommand } from './ActionSchemas';
+
 export class MCPCommandBuilder {
   constructor() {
     this._reset();
@@ -27,6 +29,22 @@ export class MCPCommandBuilder {
       parameters: {},
       timestamp: new Date().toISOString()
     };
+    if (this._nextIdempotencyKey) {
+      this._command.idempotencyKey = this._nextIdempotencyKey;
+      this._nextIdempotencyKey = null;
+    }
+    return this;
+  }
+
+  /**
+   * 为下一条构建的命令指定幂等键，同一键的命令只执行一次
+   * 未指定时使用命令ID，即只有重发的同一条消息被视为重复
+   * (Set the idempotency key of the next built command)
+   * @param {string} key - 幂等键
+   * @returns {MCPCommandBuilder} 构建器实例，用于链式调用
+   */
+  withIdempotencyKey(key) {
+    this._nextIdempotencyKey = key;
     return this;
   }
 
@@ -89,14 +107,19 @@ export class MCPCommandBuilder {
   /**
    * 构建高亮命令
    * (Build highlight command)
-   * @param {string} target - 目标对象
+   * @param {string|string[]} target - 目标对象，数组时同时高亮多个对象
    * @param {string} [color] - 高亮颜色
+   * @param {Object} [options] - 高亮选项
+   * @param {boolean} [options.exclusive] - 替换当前选择，默认追加
+   * @param {boolean} [options.enabled] - 为false时取消高亮
    * @returns {Object} MCP命令对象
    */
-  highlight(target, color = '#FF0000') {
+  highlight(target, color = '#FF0000', options = {}) {
     this._reset();
     this._command.action = 'highlight';
-    this._command.parameters = { target, color };
+    this._command.parameters = Array.isArray(target)
+      ? { targets: target, color, ...options }
+      : { target, color, ...options };
     return this.wrap();
   }
 
@@ -116,13 +139,17 @@ export class MCPCommandBuilder {
   /**
    * 构建批量命令
    * (Build batch command)
-   * @param {Array} commands - 命令列表
+   * @param {Array} commands - 命令列表[{action, parameters, target}]
+   * @param {Object} [options] - 批量选项
+   * @param {string} [options.mode] - 执行方式(sequential, parallel)，默认sequential
+   * @param {boolean} [options.atomic] - 任一步失败时回滚已执行步骤的相机和场景变更
+   * @param {boolean} [options.continueOnError] - 非原子顺序批量失败后是否继续，默认true
    * @returns {Object} MCP命令对象
    */
-  batch(commands) {
+  batch(commands, options = {}) {
     this._reset();
     this._command.action = 'batch';
-    this._command.parameters = { commands };
+    this._command.parameters = { commands, ...options };
     return this.wrap();
   }
 
@@ -144,21 +171,36 @@ export class MCPCommandBuilder {
   /**
    * 构建快照命令
    * (Build snapshot command)
-   * @param {string} [filename] - 文件名(可选)
+   * @param {string} [filename] - 文件名(可选)，提供时在浏览器中下载
+   * @param {Object} [options] - 快照选项
+   * @param {number} [options.width] - 宽度(像素)，默认为画布宽度乘以scale
+   * @param {number} [options.height] - 高度(像素)，默认为画布高度乘以scale
+   * @param {number} [options.scale] - 相对画布的缩放倍数，默认1
+   * @param {boolean} [options.transparent] - 透明背景(png/webp)
+   * @param {boolean} [options.hideOverlays] - 隐藏测量线、标注图钉等叠加层，默认true
+   * @param {string} [options.format] - 图片格式(png, jpeg, webp)，默认png
+   * @param {number} [options.quality] - jpeg/webp质量(0~1)
+   * @param {boolean} [options.includeImage] - 是否在结果中返回base64图片，默认true
    * @returns {Object} MCP命令对象
    */
-  snapshot(filename = null) {
+  snapshot(filename = null, options = {}) {
     this._reset();
     this._command.action = 'snapshot';
-    if (filename) this._command.parameters = { filename };
+    this._command.parameters = { ...options };
+    if (filename) this._command.parameters.filename = filename;
     return this.wrap();
   }
 
   /**
    * 构建加载模型命令
    * (Build load model command)
-   * @param {string} modelPath - 模型路径
+   * @param {string} modelPath - 模型路径(URL)
    * @param {Object} [options] - 加载选项
+   * @param {boolean} [options.useCache] - 是否使用本地模型缓存，默认true
+   * @param {string} [options.hash] - 期望的内容哈希：SHA-256的十六进制值，可带sha256-或sha256:前缀，
+   *   也可为SRI格式(sha256-<base64>)。与缓存一致时无需重新下载，不一致时拒绝加载；
+   *   无法计算SHA-256的环境（非HTTPS）中跳过校验
+   * @param {boolean} [options.forceRefresh] - 忽略缓存强制重新下载
    * @returns {Object} MCP命令对象
    */
   loadModel(modelPath, options = {}) {
@@ -224,17 +266,189 @@ export class MCPCommandBuilder {
     return this.wrap();
   }
 
+  /**
+   * 构建恢复场景状态命令
+   * (Build restore state command)
+   * @param {Object} state - 场景状态，即query_state返回的state
+   * @returns {Object} MCP命令对象
+   */
+  restoreState(state) {
+    this._reset();
+    this._command.action = 'restore_state';
+    this._command.parameters = { state };
+    return this.wrap();
+  }
+
+  /**
+   * 构建创建标注命令
+   * (Build annotate command)
+   * @param {string} target - 目标部件
+   * @param {string} text - 标注内容
+   * @param {Object} [options] - 标注选项
+   * @param {string} [options.kind] - 标注类型(note, issue, ticket)
+   * @param {string} [options.title] - 标题，默认为部件名称
+   * @param {Object} [options.position] - 部件局部坐标系中的位置{x, y, z}，默认为部件中心
+   * @returns {Object} MCP命令对象
+   */
+  annotate(target, text, options = {}) {
+    this._reset();
+    this._command.action = 'annotate';
+    this._command.parameters = { text, ...options };
+    this._command.target = target;
+    return this.wrap();
+  }
+
+  /**
+   * 构建列出标注命令
+   * (Build list annotations command)
+   * @param {string} [target] - 目标部件(可选)，只列出该部件的标注
+   * @returns {Object} MCP命令对象
+   */
+  listAnnotations(target = null) {
+    this._reset();
+    this._command.action = 'list_annotations';
+    if (target) this._command.target = target;
+    return this.wrap();
+  }
+
+  /**
+   * 构建删除标注命令
+   * (Build remove annotation command)
+   * @param {string} id - 标注ID
+   * @returns {Object} MCP命令对象
+   */
+  removeAnnotation(id) {
+    this._reset();
+    this._command.action = 'remove_annotation';
+    this._command.parameters = { id };
+    return this.wrap();
+  }
+
+  /**
+   * 构建保存视角命令
+   * (Build save view command)
+   * @param {string} name - 视角名称，同名视角被覆盖
+   * @param {Object} [options] - 视角选项
+   * @param {Object} [options.position] - 相机位置{x, y, z}，默认为当前相机位置
+   * @param {Object} [options.target] - 观察点{x, y, z}，默认为当前观察点
+   * @returns {Object} MCP命令对象
+   */
+  saveView(name, options = {}) {
+    this._reset();
+    this._command.action = 'save_view';
+    this._command.parameters = { name, ...options };
+    return this.wrap();
+  }
+
+  /**
+   * 构建跳转视角命令
+   * (Build go to view command)
+   * @param {string} name - 视角名称或ID
+   * @param {number} [duration=1000] - 相机过渡时长(毫秒)
+   * @returns {Object} MCP命令对象
+   */
+  gotoView(name, duration = 1000) {
+    this._reset();
+    this._command.action = 'goto_view';
+    this._command.parameters = { name, duration };
+    return this.wrap();
+  }
+
+  /**
+   * 构建导览命令
+   * (Build camera tour command)
+   * @param {string} command - 导览命令(play, pause, resume, skip, stop, save, list)
+   * @param {Object} [options] - 导览选项
+   * @param {string} [options.name] - play时要播放的已保存导览名称
+   * @param {Object} [options.tour] - 导览内容{name, stops, loop}，play时直接播放，save时保存
+   * @returns {Object} MCP命令对象
+   */
+  tour(command = 'play', options = {}) {
+    this._reset();
+    this._command.action = 'tour';
+    this._command.parameters = { command, ...options };
+    return this.wrap();
+  }
+
+  /**
+   * 构建宏命令
+   * (Build macro command)
+   * @param {string} [command] - 宏命令(play, stop, record, stop_recording, save, list, remove)，默认play
+   * @param {Object} [options] - 命令参数
+   * @param {string} [options.name] - 宏名称
+   * @param {Object} [options.args] - 占位符参数，如{area: 'pump_1'}
+   * @param {Object} [options.macro] - 宏内容{name, steps}，用于save或直接回放
+   * @returns {Object} MCP命令对象
+   */
+  macro(command = 'play', options = {}) {
+    this._reset();
+    this._command.action = 'macro';
+    this._command.parameters = { command, ...options };
+    return this.wrap();
+  }
+
+  /**
+   * 构建撤销命令
+   * (Build undo command)
+   * @param {number} [steps] - 撤销步数，默认1
+   * @returns {Object} MCP命令对象
+   */
+  undo(steps = 1) {
+    this._reset();
+    this._command.action = 'undo';
+    this._command.parameters = { steps };
+    return this.wrap();
+  }
+
+  /**
+   * 构建重做命令
+   * (Build redo command)
+   * @param {number} [steps] - 重做步数，默认1
+   * @returns {Object} MCP命令对象
+   */
+  redo(steps = 1) {
+    this._reset();
+    this._command.action = 'redo';
+    this._command.parameters = { steps };
+    return this.wrap();
+  }
+
+  /**
+   * 构建取消命令，取消排队中或执行中的命令
+   * (Build cancel command)
+   * @param {string} commandId - 要取消的命令ID
+   * @returns {Object} MCP命令对象
+   */
+  cancel(commandId) {
+    this._reset();
+    this._command.action = 'cancel';
+    this._command.parameters = { commandId };
+    return this.wrap();
+  }
+
   /**
    * 将命令包装为标准MCP协议消息
+   * 已定义参数模式的操作在此校验，参数转换为标准写法
    * @returns {Object} MCP协议消息
+   * @throws {CommandValidationError} 参数不符合操作模式时
    */
   wrap() {
+    const action = this._command.action;
+    if (hasActionSchema(action)) {
+      const validation = validateCommand(action, this._command.parameters || {});
+      if (!validation.valid) {
+        throw new CommandValidationError(action, validation.errors);
+      }
+      this._command.parameters = validation.parameters;
+    }
+
     return {
       type: 'mcp.command',
       id: this._command.id || `cmd_${Date.now()}`,
       action: this._command.action,
       parameters: this._command.parameters || {},
       target: this._command.target,
+      idempotencyKey: this._command.idempotencyKey || this._command.id,
       timestamp: new Date().toISOString()
     };
   }
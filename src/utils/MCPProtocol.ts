@@ -0,0 +1,290 @@
+/**
+ * MCP协议定义
+ * (MCP Protocol Definition)
+ *
+ * 前端与MCP服务之间唯一的消息格式：所有消息都是带版本号、ID、关联ID和通道的信封。
+ * 请求的响应通过correlationId关联到请求ID；多个逻辑通道复用同一连接。
+ * 兼容层负责与旧版消息（ping/heartbeat、command/mcp.command、response/mcp.response等）互相转换，
+ * 供后端迁移期间使用。
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+// 逻辑通道 (Logical channels)
+export type MCPChannel = 'mcp' | 'command' | 'status' | 'health' | 'telemetry' | 'session';
+
+export const MCP_CHANNELS: readonly MCPChannel[] = ['mcp', 'command', 'status', 'health', 'telemetry', 'session'];
+
+// 信封类型 (Envelope types)
+export type MCPEnvelopeType = 'hello' | 'welcome' | 'ping' | 'pong' | 'command' | 'result' | 'event' | 'error';
+
+// 消息信封 (Message envelope)
+export interface MCPEnvelope<T = any> {
+  v: typeof PROTOCOL_VERSION;
+  type: MCPEnvelopeType;
+  id: string;
+  // 响应所对应的请求ID
+  correlationId?: string;
+  channel: MCPChannel;
+  timestamp: string;
+  payload: T;
+  // 由旧版消息转换而来时保留的原始消息，不参与传输
+  raw?: any;
+}
+
+// 命令载荷 (Command payload)
+export interface MCPCommandPayload {
+  action: string;
+  target?: string;
+  parameters: Record<string, any>;
+  // 幂等键，同一键的命令只执行一次
+  idempotencyKey?: string;
+}
+
+// 结果载荷 (Result payload)
+export interface MCPResultPayload {
+  success: boolean;
+  action?: string;
+  data?: any;
+  error?: string;
+  [key: string]: any;
+}
+
+// 握手载荷：hello与welcome均携带本端能力声明，见ActionSchemas.getCapabilities (Handshake payload)
+export interface MCPHandshakePayload {
+  clientType?: string;
+  clientId?: string | null;
+  capabilities?: { protocol: number, actions: Record<string, number> };
+}
+
+// 事件载荷：event为事件名称 (Event payload; event is the event name)
+export interface MCPEventPayload {
+  event: string;
+  [key: string]: any;
+}
+
+// 旧版协议各通道对应的端点 (Legacy endpoint of each channel)
+export const LEGACY_ENDPOINTS: Record<MCPChannel, string> = {
+  mcp: '/ws/mcp',
+  command: '/ws/command',
+  status: '/ws/status',
+  health: '/ws/health',
+  telemetry: '/ws/telemetry',
+  session: '/ws/session'
+};
+
+/**
+ * 生成消息ID，全部消息共用同一ID格式
+ * @param prefix ID前缀
+ */
+export function createMessageId(prefix = 'msg'): string {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 创建信封
+ * @param type 信封类型
+ * @param channel 通道
+ * @param payload 载荷
+ * @param correlationId 关联的请求ID
+ */
+export function createEnvelope<T>(
+  type: MCPEnvelopeType,
+  channel: MCPChannel,
+  payload: T,
+  correlationId?: string
+): MCPEnvelope<T> {
+  return {
+    v: PROTOCOL_VERSION,
+    type,
+    id: createMessageId(type === 'command' ? 'cmd' : 'msg'),
+    ...(correlationId ? { correlationId } : {}),
+    channel,
+    timestamp: new Date().toISOString(),
+    payload
+  };
+}
+
+// 判断是否为新版信封 (Check whether a message is a versioned envelope)
+export function isEnvelope(message: any): message is MCPEnvelope {
+  return !!message && typeof message === 'object' && message.v === PROTOCOL_VERSION
+    && typeof message.type === 'string' && typeof message.id === 'string';
+}
+
+/**
+ * 由旧版端点解析通道
+ * @param endpoint 旧版端点，如/ws/command
+ */
+export function channelFromEndpoint(endpoint: string): MCPChannel {
+  const channel = MCP_CHANNELS.find(item => LEGACY_ENDPOINTS[item] === endpoint);
+  if (!channel) {
+    throw new Error(`未知的WebSocket端点: ${endpoint}`);
+  }
+  return channel;
+}
+
+// 从旧版响应中提取命令ID (Extract the command ID from a legacy response)
+const legacyCorrelationId = (message: any): string | undefined =>
+  message.commandId ?? message.command_id ?? message.command?.id ?? message.result?.command_id ?? message.id;
+
+// 判断旧版响应是否成功 (Determine whether a legacy response succeeded)
+const legacySuccess = (message: any): boolean =>
+  message.success === true
+  || message.status === 'success'
+  || message.result?.success === true;
+
+/**
+ * 将旧版消息转换为信封（兼容层）
+ * @param message 旧版消息
+ * @param channel 收到消息的通道
+ */
+export function fromLegacy(message: any, channel: MCPChannel): MCPEnvelope {
+  if (isEnvelope(message)) {
+    return { ...message, channel: message.channel || channel };
+  }
+
+  const data = message && typeof message === 'object' ? message : { type: 'text', text: String(message) };
+  const base = {
+    v: PROTOCOL_VERSION,
+    id: data.id || createMessageId(),
+    channel,
+    timestamp: typeof data.timestamp === 'string' ? data.timestamp : new Date().toISOString(),
+    raw: message
+  } as const;
+
+  switch (data.type) {
+    case 'ping':
+    case 'heartbeat':
+      return { ...base, type: 'ping', payload: {} };
+    case 'pong':
+    case 'heartbeat_response':
+      return { ...base, type: 'pong', payload: {} };
+    case 'init':
+      return {
+        ...base,
+        type: 'hello',
+        payload: {
+          clientType: data.clientType || data.client,
+          clientId: data.clientId || data.sessionId,
+          ...(data.capabilities ? { capabilities: data.capabilities } : {})
+        }
+      };
+    case 'welcome':
+    case 'connection_established':
+      return {
+        ...base,
+        type: 'welcome',
+        payload: { clientId: data.clientId ?? null, ...(data.capabilities ? { capabilities: data.capabilities } : {}) }
+      };
+    case 'command':
+    case 'mcp.command': {
+      // 嵌套格式{command: {...}}与MCPCommandBuilder的扁平格式，旧版命令用operation表示操作
+      const command = data.command && typeof data.command === 'object' ? data.command : data;
+      return {
+        ...base,
+        id: command.id || base.id,
+        type: 'command',
+        payload: {
+          action: command.action || command.operation,
+          ...(command.target ? { target: command.target } : {}),
+          parameters: command.parameters || command.params || {},
+          ...(command.idempotencyKey ? { idempotencyKey: command.idempotencyKey } : {})
+        }
+      };
+    }
+    case 'response':
+    case 'mcp.response':
+    case 'mcp_response':
+    case 'commandResult': {
+      const result = data.result && typeof data.result === 'object' ? data.result : {};
+      return {
+        ...base,
+        id: createMessageId(),
+        type: 'result',
+        correlationId: legacyCorrelationId(data),
+        payload: {
+          ...result,
+          success: legacySuccess(data),
+          ...(data.action ? { action: data.action } : {}),
+          ...(data.data !== undefined ? { data: data.data } : {}),
+          ...(data.error || data.message ? { error: data.error || data.message } : {})
+        }
+      };
+    }
+    case 'error':
+      return { ...base, type: 'error', payload: { message: data.message || data.error || '未知错误', code: data.code } };
+    default:
+      return { ...base, type: 'event', payload: { ...data, event: data.type || 'message' } };
+  }
+}
+
+/**
+ * 将信封转换为旧版消息（兼容层），带有原始消息时原样返回
+ * @param envelope 信封
+ */
+export function toLegacy(envelope: MCPEnvelope): any {
+  if (envelope.raw !== undefined) {
+    return envelope.raw;
+  }
+
+  const { id, timestamp, payload } = envelope;
+  switch (envelope.type) {
+    case 'ping':
+      // mcp通道使用ping，其余通道使用heartbeat
+      return { type: envelope.channel === 'mcp' ? 'ping' : 'heartbeat', id, timestamp };
+    case 'pong':
+      return { type: envelope.channel === 'mcp' ? 'pong' : 'heartbeat_response', id, timestamp };
+    case 'hello':
+      return { type: 'init', id, timestamp, ...payload };
+    case 'welcome':
+      return { type: 'welcome', id, timestamp, ...payload };
+    case 'command':
+      return envelope.channel === 'mcp'
+        ? { type: 'command', id, timestamp, command: { id, ...payload } }
+        : { type: 'mcp.command', id, timestamp, ...payload };
+    case 'result':
+      return {
+        type: envelope.channel === 'mcp' ? 'response' : 'commandResult',
+        id,
+        commandId: envelope.correlationId,
+        action: payload.action,
+        success: payload.success,
+        result: payload,
+        timestamp
+      };
+    case 'error':
+      return { type: 'error', id, timestamp, ...payload };
+    case 'event': {
+      const { event, ...rest } = payload;
+      return { ...rest, type: event, timestamp };
+    }
+  }
+}
+
+/**
+ * 编码待发送的信封
+ * @param envelope 信封
+ * @param legacy 是否使用旧版消息格式
+ */
+export function encodeEnvelope(envelope: MCPEnvelope, legacy: boolean): string {
+  if (legacy) {
+    return JSON.stringify(toLegacy(envelope));
+  }
+  const { raw, ...wire } = envelope;
+  return JSON.stringify(wire);
+}
+
+/**
+ * 解码收到的消息，旧版消息经兼容层转换
+ * @param data WebSocket消息数据
+ * @param channel 收到消息的通道（多路复用连接上以信封中的channel为准）
+ */
+export function decodeMessage(data: string, channel: MCPChannel): MCPEnvelope {
+  let message: any;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    message = data;
+  }
+  return fromLegacy(message, channel);
+}
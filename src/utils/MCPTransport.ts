@@ -0,0 +1,680 @@
+/**
+ * MCP统一传输层
+ * (Unified MCP Transport)
+ *
+ * 全部组件共用的类型化WebSocket客户端：统一的信封协议、关联ID和心跳，
+ * 多个逻辑通道复用连接，断线后按带抖动的指数退避持续重连且保留订阅。
+ * v1协议下所有通道复用同一连接；legacy协议下每个通道连接各自的旧版端点，
+ * 收发消息经兼容层转换，供后端迁移期间使用。
+ * 握手时双方在hello/welcome中交换能力声明，协商结果用于拒绝对端不支持的命令。
+ */
+import {
+  LEGACY_ENDPOINTS,
+  createEnvelope,
+  decodeMessage,
+  encodeEnvelope,
+  type MCPChannel,
+  type MCPCommandPayload,
+  type MCPEnvelope,
+  type MCPEnvelopeType,
+  type MCPResultPayload
+} from './MCPProtocol';
+import { getCapabilities, negotiateCapabilities, type NegotiatedCapabilities } from './ActionSchemas';
+
+export type MCPProtocolMode = 'legacy' | 'v1';
+export type MCPTransportStatus = 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'error';
+
+// 传输层配置 (Transport configuration)
+export interface MCPTransportConfig {
+  // 服务地址，如ws://localhost:9000
+  wsUrl: string;
+  protocol: MCPProtocolMode;
+  // v1协议的多路复用端点
+  path: string;
+  clientType: string;
+  heartbeatInterval: number;
+  requestTimeout: number;
+  connectTimeout: number;
+  // 首次重连延迟，之后每次翻倍，最长30秒
+  reconnectDelay: number;
+  // 连续失败达到该次数后提示连接异常，重连不会停止
+  maxReconnectAttempts: number;
+}
+
+export type MCPEnvelopeHandler = (envelope: MCPEnvelope) => void;
+export type MCPStatusListener = (channel: MCPChannel, status: MCPTransportStatus) => void;
+
+// 收发的消息，raw为线上传输的原始文本 (A message sent or received; raw is the text on the wire)
+export interface MCPTrafficEvent {
+  direction: 'in' | 'out';
+  channel: MCPChannel;
+  envelope: MCPEnvelope;
+  raw: string;
+  timestamp: number;
+}
+
+// 请求结束 (A request has settled)
+export interface MCPRequestEvent {
+  id: string;
+  channel: MCPChannel;
+  action: string;
+  outcome: 'success' | 'failure' | 'timeout' | 'error';
+  // 从发送到结束的毫秒数
+  duration: number;
+  error?: string;
+}
+
+// 等待响应的请求 (A request awaiting its response)
+export interface MCPPendingRequestInfo {
+  id: string;
+  channel: MCPChannel;
+  action: string;
+  sentAt: number;
+  timeout: number;
+}
+
+export type MCPTrafficListener = (event: MCPTrafficEvent) => void;
+export type MCPRequestListener = (event: MCPRequestEvent) => void;
+
+// 重连状态 (Reconnect state)
+export interface MCPReconnectState {
+  // 连续失败的重连次数
+  attempts: number;
+  // 下次重连时间，未安排重连时为null
+  nextAttemptAt: number | null;
+  // 连续失败次数已达到maxReconnectAttempts
+  degraded: boolean;
+}
+
+// 请求响应超时 (Request response timeout)
+export class MCPRequestTimeoutError extends Error {
+  public correlationId: string;
+
+  constructor(correlationId: string, timeout: number) {
+    super(`命令响应超时(${timeout}ms): ${correlationId}`);
+    this.name = 'MCPRequestTimeoutError';
+    this.correlationId = correlationId;
+  }
+}
+
+// 单个WebSocket连接 (A single WebSocket connection)
+interface Connection {
+  key: string;
+  url: string;
+  ws: WebSocket | null;
+  status: MCPTransportStatus;
+  // 复用该连接的通道
+  channels: Set<MCPChannel>;
+  attempts: number;
+  lastActivity: number;
+  opening: Promise<void> | null;
+  manualClose: boolean;
+  heartbeatTimer: ReturnType<typeof setInterval> | null;
+  reconnectTimer: ReturnType<typeof setTimeout> | null;
+  nextAttemptAt: number | null;
+}
+
+// 待响应的请求 (Pending request)
+interface PendingRequest extends MCPPendingRequestInfo {
+  resolve: (envelope: MCPEnvelope<MCPResultPayload>) => void;
+  reject: (error: Error) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+// 单路复用连接的键 (Key of the multiplexed connection)
+const MULTIPLEX_KEY = '*';
+
+// 未指定使用方时的默认使用方 (Owner used when none is given)
+const DEFAULT_OWNER = {};
+
+// 重连延迟上限 (Maximum reconnect delay)
+const MAX_RECONNECT_DELAY = 30000;
+
+export class MCPTransport {
+  public readonly config: MCPTransportConfig;
+  private connections = new Map<string, Connection>();
+  private subscribers = new Map<MCPChannel | '*', Set<MCPEnvelopeHandler>>();
+  private pending = new Map<string, PendingRequest>();
+  private owners = new Map<MCPChannel, Set<object>>();
+  private negotiated = new Map<MCPChannel, NegotiatedCapabilities>();
+  // 可以发送业务消息的通道：旧版协议连接建立后，v1协议握手完成后 (Channels ready for application messages)
+  private ready = new Set<MCPChannel>();
+  private handshakeTimers = new Map<MCPChannel, ReturnType<typeof setTimeout>>();
+  private readyListeners = new Set<(channel: MCPChannel) => void>();
+  private statusListeners = new Set<MCPStatusListener>();
+  private trafficListeners = new Set<MCPTrafficListener>();
+  private requestListeners = new Set<MCPRequestListener>();
+
+  constructor(config: Partial<MCPTransportConfig> = {}) {
+    this.config = {
+      wsUrl: import.meta.env.VITE_PYTHON_WS_URL || 'ws://localhost:9000',
+      protocol: import.meta.env.VITE_MCP_PROTOCOL === 'v1' ? 'v1' : 'legacy',
+      path: '/ws/v1',
+      clientType: 'web_ui',
+      heartbeatInterval: 30000,
+      requestTimeout: 10000,
+      connectTimeout: 5000,
+      reconnectDelay: 3000,
+      maxReconnectAttempts: 5,
+      ...config
+    };
+  }
+
+  /**
+   * 打开通道，连接已建立时立即返回
+   * @param channel 通道
+   * @param owner 使用方，同一通道被多个使用方打开时，全部关闭后才断开
+   */
+  public async open(channel: MCPChannel, owner: object = DEFAULT_OWNER): Promise<void> {
+    const connection = this.getConnection(channel);
+    connection.manualClose = false;
+    const isNew = !connection.channels.has(channel);
+    connection.channels.add(channel);
+    this.ownersOf(channel).add(owner);
+
+    await this.ensureSocket(connection);
+
+    // 多路复用连接上新通道需向服务端声明
+    if (isNew && this.config.protocol === 'v1') {
+      this.sendHello(channel);
+    }
+    this.emitStatus(connection);
+  }
+
+  /**
+   * 关闭通道，通道已无使用方时退出，连接上已无通道时断开
+   * @param channel 通道
+   * @param owner 使用方
+   */
+  public close(channel: MCPChannel, owner: object = DEFAULT_OWNER) {
+    const owners = this.ownersOf(channel);
+    owners.delete(owner);
+    if (owners.size > 0) return;
+
+    this.negotiated.delete(channel);
+    this.clearReady(channel);
+    const connection = this.connections.get(this.connectionKey(channel));
+    if (!connection || !connection.channels.delete(channel)) return;
+
+    this.statusListeners.forEach(listener => listener(channel, 'disconnected'));
+    if (connection.channels.size === 0) {
+      this.closeConnection(connection);
+    }
+  }
+
+  // 强制关闭全部通道 (Force-close every channel)
+  public closeAll() {
+    this.owners.clear();
+    this.negotiated.clear();
+    Array.from(this.ready).forEach(channel => this.clearReady(channel));
+    this.handshakeTimers.forEach(timer => clearTimeout(timer));
+    this.handshakeTimers.clear();
+    this.connections.forEach(connection => {
+      const channels = Array.from(connection.channels);
+      connection.channels.clear();
+      channels.forEach(channel => this.statusListeners.forEach(listener => listener(channel, 'disconnected')));
+      this.closeConnection(connection);
+    });
+  }
+
+  public isOpen(channel: MCPChannel): boolean {
+    return this.getStatus(channel) === 'connected';
+  }
+
+  public getStatus(channel: MCPChannel): MCPTransportStatus {
+    const connection = this.connections.get(this.connectionKey(channel));
+    return connection?.channels.has(channel) ? connection.status : 'disconnected';
+  }
+
+  // 已打开的通道 (Open channels)
+  public getOpenChannels(): MCPChannel[] {
+    return Array.from(this.connections.values())
+      .filter(connection => connection.status === 'connected')
+      .flatMap(connection => Array.from(connection.channels));
+  }
+
+  /**
+   * 通道的重连状态，通道未打开时为null
+   * @param channel 通道
+   */
+  public getReconnectState(channel: MCPChannel): MCPReconnectState | null {
+    const connection = this.connections.get(this.connectionKey(channel));
+    if (!connection?.channels.has(channel)) return null;
+    return {
+      attempts: connection.attempts,
+      nextAttemptAt: connection.nextAttemptAt,
+      degraded: connection.attempts >= this.config.maxReconnectAttempts
+    };
+  }
+
+  /**
+   * 跳过退避等待，立即重连通道
+   * @param channel 通道
+   */
+  public reconnect(channel: MCPChannel) {
+    const connection = this.connections.get(this.connectionKey(channel));
+    if (!connection?.channels.has(channel) || connection.ws?.readyState === WebSocket.OPEN || connection.opening) return;
+
+    if (connection.reconnectTimer) {
+      clearTimeout(connection.reconnectTimer);
+      connection.reconnectTimer = null;
+    }
+    this.attemptReconnect(connection);
+  }
+
+  /**
+   * 通道是否可以发送业务消息：旧版协议连接已建立，v1协议已完成握手或握手超时
+   * @param channel 通道
+   */
+  public isReady(channel: MCPChannel): boolean {
+    return this.ready.has(channel) && this.isOpen(channel);
+  }
+
+  // 监听通道就绪，断线重连后会再次触发，返回取消监听函数 (Listen for channels becoming ready; returns an unsubscribe function)
+  public onReady(listener: (channel: MCPChannel) => void): () => void {
+    this.readyListeners.add(listener);
+    return () => this.readyListeners.delete(listener);
+  }
+
+  /**
+   * 通道的能力协商结果，对端未声明能力时为null
+   * @param channel 通道
+   */
+  public getNegotiatedCapabilities(channel: MCPChannel): NegotiatedCapabilities | null {
+    return this.negotiated.get(channel) ?? null;
+  }
+
+  /**
+   * 发送信封，通道未连接时抛出错误
+   * @param envelope 信封
+   */
+  public post(envelope: MCPEnvelope): MCPEnvelope {
+    const connection = this.connections.get(this.connectionKey(envelope.channel));
+    const ws = connection?.ws;
+    if (!connection || !ws || ws.readyState !== WebSocket.OPEN) {
+      throw new Error(`WebSocket通道未连接: ${envelope.channel}`);
+    }
+
+    const raw = encodeEnvelope(envelope, this.config.protocol === 'legacy');
+    ws.send(raw);
+    this.emitTraffic('out', envelope, raw);
+    return envelope;
+  }
+
+  /**
+   * 创建并发送信封
+   * @param channel 通道
+   * @param type 信封类型
+   * @param payload 载荷
+   * @param correlationId 关联的请求ID
+   */
+  public send<T>(channel: MCPChannel, type: MCPEnvelopeType, payload: T, correlationId?: string): MCPEnvelope<T> {
+    return this.post(createEnvelope(type, channel, payload, correlationId)) as MCPEnvelope<T>;
+  }
+
+  /**
+   * 发送命令信封并等待关联的结果
+   * @param envelope 命令信封，可由createEnvelope('command', ...)创建
+   * @param options.timeout 超时毫秒数
+   */
+  public request(
+    envelope: MCPEnvelope<MCPCommandPayload>,
+    options: { timeout?: number } = {}
+  ): Promise<MCPEnvelope<MCPResultPayload>> {
+    const timeout = options.timeout ?? this.config.requestTimeout;
+    const negotiated = this.negotiated.get(envelope.channel);
+    if (negotiated?.unsupported.includes(envelope.payload.action)) {
+      return Promise.reject(new Error(`服务端不支持操作: ${envelope.payload.action}`));
+    }
+
+    const info: MCPPendingRequestInfo = {
+      id: envelope.id,
+      channel: envelope.channel,
+      action: envelope.payload.action,
+      sentAt: Date.now(),
+      timeout
+    };
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(envelope.id);
+        this.emitRequest(info, 'timeout', `超时(${timeout}ms)`);
+        reject(new MCPRequestTimeoutError(envelope.id, timeout));
+      }, timeout);
+      this.pending.set(envelope.id, { ...info, resolve, reject, timer });
+
+      try {
+        this.post(envelope);
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(envelope.id);
+        this.emitRequest(info, 'error', error instanceof Error ? error.message : String(error));
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * 订阅通道消息，'*'订阅全部通道
+   * @returns 取消订阅函数
+   */
+  public subscribe(channel: MCPChannel | '*', handler: MCPEnvelopeHandler): () => void {
+    if (!this.subscribers.has(channel)) {
+      this.subscribers.set(channel, new Set());
+    }
+    this.subscribers.get(channel)!.add(handler);
+    return () => this.subscribers.get(channel)?.delete(handler);
+  }
+
+  // 监听通道状态变化，返回取消监听函数 (Listen for channel status changes; returns an unsubscribe function)
+  public onStatus(listener: MCPStatusListener): () => void {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  // 监听全部收发的消息，用于诊断 (Listen for every message sent or received, for diagnostics)
+  public onTraffic(listener: MCPTrafficListener): () => void {
+    this.trafficListeners.add(listener);
+    return () => this.trafficListeners.delete(listener);
+  }
+
+  // 监听请求结束，包括成功、失败、超时和发送出错 (Listen for settled requests)
+  public onRequest(listener: MCPRequestListener): () => void {
+    this.requestListeners.add(listener);
+    return () => this.requestListeners.delete(listener);
+  }
+
+  // 等待响应的请求 (Requests awaiting a response)
+  public getPendingRequests(): MCPPendingRequestInfo[] {
+    return Array.from(this.pending.values()).map(({ id, channel, action, sentAt, timeout }) => ({ id, channel, action, sentAt, timeout }));
+  }
+
+  private ownersOf(channel: MCPChannel): Set<object> {
+    if (!this.owners.has(channel)) {
+      this.owners.set(channel, new Set());
+    }
+    return this.owners.get(channel)!;
+  }
+
+  private connectionKey(channel: MCPChannel): string {
+    return this.config.protocol === 'v1' ? MULTIPLEX_KEY : channel;
+  }
+
+  private getConnection(channel: MCPChannel): Connection {
+    const key = this.connectionKey(channel);
+    let connection = this.connections.get(key);
+    if (!connection) {
+      connection = {
+        key,
+        url: `${this.config.wsUrl}${key === MULTIPLEX_KEY ? this.config.path : LEGACY_ENDPOINTS[channel]}`,
+        ws: null,
+        status: 'disconnected',
+        channels: new Set(),
+        attempts: 0,
+        lastActivity: Date.now(),
+        opening: null,
+        manualClose: false,
+        heartbeatTimer: null,
+        reconnectTimer: null,
+        nextAttemptAt: null
+      };
+      this.connections.set(key, connection);
+    }
+    return connection;
+  }
+
+  // 建立WebSocket连接，并发调用共享同一次连接 (Establish the socket; concurrent calls share one attempt)
+  private ensureSocket(connection: Connection): Promise<void> {
+    if (connection.ws?.readyState === WebSocket.OPEN) return Promise.resolve();
+    if (connection.opening) return connection.opening;
+
+    connection.opening = new Promise<void>((resolve, reject) => {
+      this.setStatus(connection, connection.attempts > 0 ? 'reconnecting' : 'connecting');
+      const ws = new WebSocket(connection.url);
+      connection.ws = ws;
+
+      const timeout = setTimeout(() => {
+        if (ws.readyState !== WebSocket.OPEN) ws.close();
+      }, this.config.connectTimeout);
+
+      ws.onopen = () => {
+        clearTimeout(timeout);
+        connection.opening = null;
+        connection.attempts = 0;
+        connection.lastActivity = Date.now();
+        this.startHeartbeat(connection);
+        this.setStatus(connection, 'connected');
+        // 旧版协议没有握手，连接建立即可发送
+        if (this.config.protocol !== 'v1') {
+          connection.channels.forEach(channel => this.markReady(channel));
+        }
+        resolve();
+      };
+      ws.onmessage = event => this.handleMessage(connection, event);
+      ws.onerror = () => {
+        this.setStatus(connection, 'error');
+      };
+      ws.onclose = (event) => {
+        clearTimeout(timeout);
+        this.stopHeartbeat(connection);
+        if (connection.ws === ws) connection.ws = null;
+        // 重新连接后需重新握手
+        connection.channels.forEach((channel) => {
+          this.negotiated.delete(channel);
+          this.clearReady(channel);
+        });
+
+        if (connection.opening) {
+          connection.opening = null;
+          reject(new Error(`WebSocket连接失败: ${connection.url} (代码${event.code})`));
+        }
+        if (connection.manualClose) {
+          this.setStatus(connection, 'disconnected');
+        } else {
+          this.scheduleReconnect(connection);
+        }
+      };
+    });
+    return connection.opening;
+  }
+
+  // 握手载荷 (Handshake payload)
+  private helloPayload() {
+    return { clientType: this.config.clientType, capabilities: getCapabilities() };
+  }
+
+  // 声明通道，对端在连接超时时长内未回复时按未协商能力处理 (Announce a channel; treat it as ready if the peer never answers)
+  private sendHello(channel: MCPChannel) {
+    this.clearReady(channel);
+    this.post(createEnvelope('hello', channel, this.helloPayload()));
+    this.handshakeTimers.set(channel, setTimeout(() => {
+      this.handshakeTimers.delete(channel);
+      if (!this.isOpen(channel)) return;
+      console.warn(`未收到${channel}通道的握手回复，按未协商能力继续`);
+      this.markReady(channel);
+    }, this.config.connectTimeout));
+  }
+
+  private markReady(channel: MCPChannel) {
+    const timer = this.handshakeTimers.get(channel);
+    if (timer) clearTimeout(timer);
+    this.handshakeTimers.delete(channel);
+    if (this.ready.has(channel)) return;
+
+    this.ready.add(channel);
+    this.readyListeners.forEach(listener => listener(channel));
+  }
+
+  private clearReady(channel: MCPChannel) {
+    const timer = this.handshakeTimers.get(channel);
+    if (timer) clearTimeout(timer);
+    this.handshakeTimers.delete(channel);
+    this.ready.delete(channel);
+  }
+
+  private closeConnection(connection: Connection) {
+    connection.manualClose = true;
+    this.stopHeartbeat(connection);
+    if (connection.reconnectTimer) {
+      clearTimeout(connection.reconnectTimer);
+      connection.reconnectTimer = null;
+    }
+    connection.nextAttemptAt = null;
+    connection.attempts = 0;
+    try {
+      connection.ws?.close(1000);
+    } catch (error) {
+      console.warn(`关闭WebSocket连接出错: ${connection.url}`, error);
+    }
+    connection.ws = null;
+    connection.opening = null;
+    this.setStatus(connection, 'disconnected');
+  }
+
+  // 断线后按带抖动的指数退避持续重连，避免多个客户端同时重连 (Keep reconnecting with jittered exponential backoff)
+  private scheduleReconnect(connection: Connection) {
+    if (connection.channels.size === 0) {
+      this.setStatus(connection, 'disconnected');
+      return;
+    }
+
+    // 在退避时长的一半到全部之间随机取值
+    const backoff = Math.min(this.config.reconnectDelay * 2 ** connection.attempts, MAX_RECONNECT_DELAY);
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    connection.attempts++;
+    if (connection.attempts === this.config.maxReconnectAttempts) {
+      console.warn(`WebSocket已连续${connection.attempts}次重连失败，将继续重试: ${connection.url}`);
+    }
+    connection.nextAttemptAt = Date.now() + delay;
+    this.setStatus(connection, 'reconnecting');
+
+    connection.reconnectTimer = setTimeout(() => {
+      connection.reconnectTimer = null;
+      this.attemptReconnect(connection);
+    }, delay);
+  }
+
+  private async attemptReconnect(connection: Connection) {
+    connection.nextAttemptAt = null;
+    try {
+      await this.ensureSocket(connection);
+      // 重新声明多路复用连接上的通道
+      if (this.config.protocol === 'v1') {
+        connection.channels.forEach(channel => this.sendHello(channel));
+      }
+    } catch {
+      // 失败时onclose会继续安排重连
+    }
+  }
+
+  private handleMessage(connection: Connection, event: MessageEvent) {
+    connection.lastActivity = Date.now();
+
+    const fallbackChannel = connection.key === MULTIPLEX_KEY ? 'mcp' : connection.key as MCPChannel;
+    const envelope = decodeMessage(event.data, fallbackChannel);
+    this.emitTraffic('in', envelope, typeof event.data === 'string' ? event.data : String(event.data));
+
+    if (envelope.type === 'ping') {
+      this.post(createEnvelope('pong', envelope.channel, {}, envelope.id));
+    }
+
+    // 对端发起握手时回复本端能力 (Answer a handshake initiated by the peer)
+    if (envelope.type === 'hello') {
+      this.post(createEnvelope('welcome', envelope.channel, this.helloPayload(), envelope.id));
+    }
+
+    if ((envelope.type === 'hello' || envelope.type === 'welcome') && envelope.payload?.capabilities) {
+      const negotiated = negotiateCapabilities(getCapabilities(), envelope.payload.capabilities);
+      if (!negotiated.compatible) {
+        console.warn(`MCP协议版本不兼容: 本端${getCapabilities().protocol}，对端${envelope.payload.capabilities.protocol}`);
+      }
+      this.negotiated.set(envelope.channel, negotiated);
+      this.markReady(envelope.channel);
+    }
+
+    if (envelope.type === 'result' && envelope.correlationId) {
+      const request = this.pending.get(envelope.correlationId);
+      if (request) {
+        clearTimeout(request.timer);
+        this.pending.delete(envelope.correlationId);
+        const result = envelope.payload as MCPResultPayload;
+        this.emitRequest(request, result?.success ? 'success' : 'failure', result?.error);
+        request.resolve(envelope as MCPEnvelope<MCPResultPayload>);
+      }
+    }
+
+    [envelope.channel, '*' as const].forEach(key => {
+      this.subscribers.get(key)?.forEach((handler) => {
+        try {
+          handler(envelope);
+        } catch (error) {
+          console.error(`处理${key}通道消息出错:`, error);
+        }
+      });
+    });
+  }
+
+  // 定期发送心跳，长时间无消息时重建连接 (Send heartbeats; rebuild the connection after prolonged silence)
+  private startHeartbeat(connection: Connection) {
+    this.stopHeartbeat(connection);
+    if (!(this.config.heartbeatInterval > 0)) return;
+
+    connection.heartbeatTimer = setInterval(() => {
+      if (Date.now() - connection.lastActivity > this.config.heartbeatInterval * 2) {
+        console.warn(`长时间无活动，重新连接: ${connection.url}`);
+        connection.ws?.close();
+        return;
+      }
+
+      connection.channels.forEach((channel) => {
+        try {
+          this.post(createEnvelope('ping', channel, {}));
+        } catch (error) {
+          console.warn(`发送心跳失败: ${channel}`, error);
+        }
+      });
+    }, this.config.heartbeatInterval);
+  }
+
+  private stopHeartbeat(connection: Connection) {
+    if (connection.heartbeatTimer) {
+      clearInterval(connection.heartbeatTimer);
+      connection.heartbeatTimer = null;
+    }
+  }
+
+  private setStatus(connection: Connection, status: MCPTransportStatus) {
+    if (connection.status === status) return;
+    connection.status = status;
+    this.emitStatus(connection);
+  }
+
+  private emitTraffic(direction: MCPTrafficEvent['direction'], envelope: MCPEnvelope, raw: string) {
+    if (this.trafficListeners.size === 0) return;
+    const event: MCPTrafficEvent = { direction, channel: envelope.channel, envelope, raw, timestamp: Date.now() };
+    this.trafficListeners.forEach(listener => listener(event));
+  }
+
+  private emitRequest(request: MCPPendingRequestInfo, outcome: MCPRequestEvent['outcome'], error?: string) {
+    const event: MCPRequestEvent = {
+      id: request.id,
+      channel: request.channel,
+      action: request.action,
+      outcome,
+      duration: Date.now() - request.sentAt,
+      ...(error ? { error } : {})
+    };
+    this.requestListeners.forEach(listener => listener(event));
+  }
+
+  private emitStatus(connection: Connection) {
+    connection.channels.forEach(channel => {
+      this.statusListeners.forEach(listener => listener(channel, connection.status));
+    });
+  }
+}
+
+// 单例 (Singleton)
+export const mcpTransport = new MCPTransport();
+
+export default MCPTransport;
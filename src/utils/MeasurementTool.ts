@@ -0,0 +1,353 @@
+/**
+ * 测量工具
+ * (Measurement Tool)
+ *
+ * 基于射线拾取的点进行距离、高度、路径长度和地面面积测量。
+ * 测量点保存在模型局部坐标系中，从而抵消loadModel中的归一化缩放，
+ * 再乘以每单位米数(metersPerUnit)得到真实尺寸。
+ */
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+
+// 测量类型 (Measurement types)
+export type MeasurementType = 'distance' | 'height' | 'path' | 'area';
+
+// 测量结果 (Measurement result)
+export interface Measurement {
+  id: string;
+  type: MeasurementType;
+  // 模型局部坐标系中的测量点
+  points: THREE.Vector3[];
+  // 真实单位下的测量值（米或平方米）
+  value: number;
+  unit: 'm' | 'm²';
+  createdAt: number;
+}
+
+// 测量变化回调 (Measurement change listener)
+export type MeasurementListener = (tool: MeasurementTool) => void;
+
+// 各测量类型完成所需的点数，null表示需手动完成 (Points required to complete each type; null means finish manually)
+const REQUIRED_POINTS: Record<MeasurementType, number | null> = {
+  distance: 2,
+  height: 2,
+  path: null,
+  area: null
+};
+
+// 手动完成时的最少点数 (Minimum points when finishing manually)
+const MIN_POINTS: Record<MeasurementType, number> = {
+  distance: 2,
+  height: 2,
+  path: 2,
+  area: 3
+};
+
+const MEASUREMENT_COLORS: Record<MeasurementType, number> = {
+  distance: 0xff5722,
+  height: 0x9c27b0,
+  path: 0x2196f3,
+  area: 0x4caf50
+};
+
+// 格式化测量值 (Format a measurement value)
+export function formatMeasurement(value: number, unit: string): string {
+  const digits = Math.abs(value) >= 100 ? 1 : 2;
+  return `${value.toFixed(digits)} ${unit}`;
+}
+
+export class MeasurementTool {
+  private group = new THREE.Group();
+  private reference: THREE.Object3D | null = null;
+  private visuals = new Map<string, THREE.Object3D>();
+  private draftVisual: THREE.Object3D | null = null;
+  private listeners = new Set<MeasurementListener>();
+  private nextId = 1;
+
+  public measurements: Measurement[] = [];
+  public activeType: MeasurementType | null = null;
+  public draftPoints: THREE.Vector3[] = [];
+  // 模型每单位对应的米数，GLTF规范默认单位为米
+  public metersPerUnit = 1;
+
+  constructor(scene: THREE.Scene) {
+    this.group.name = '__measurements';
+    this.group.matrixAutoUpdate = false;
+    scene.add(this.group);
+  }
+
+  // 设置参考模型，测量点相对其局部坐标系保存；切换模型时清空测量
+  public attach(reference: THREE.Object3D | null) {
+    if (reference === this.reference) return;
+    this.cancel();
+    this.clear();
+    this.reference = reference;
+    this.update();
+  }
+
+  // 设置每单位米数 (Set meters per model unit)
+  public setMetersPerUnit(metersPerUnit: number) {
+    if (!(metersPerUnit > 0)) return;
+    this.metersPerUnit = metersPerUnit;
+    this.measurements.forEach((measurement) => {
+      measurement.value = this.compute(measurement.type, measurement.points);
+      this.rebuildVisual(measurement);
+    });
+    this.notify();
+  }
+
+  // 开始新的测量 (Start a new measurement)
+  public start(type: MeasurementType) {
+    this.cancel();
+    this.activeType = type;
+    this.notify();
+  }
+
+  // 取消当前测量 (Cancel the current measurement)
+  public cancel() {
+    this.activeType = null;
+    this.draftPoints = [];
+    this.updateDraftVisual();
+    this.notify();
+  }
+
+  public isActive(): boolean {
+    return this.activeType !== null;
+  }
+
+  /**
+   * 添加拾取点
+   * @param worldPoint 世界坐标系中的拾取点
+   * @returns 达到所需点数自动完成时返回测量结果
+   */
+  public addPoint(worldPoint: THREE.Vector3): Measurement | null {
+    if (!this.activeType || !this.reference) return null;
+
+    const localPoint = this.reference.worldToLocal(worldPoint.clone());
+    this.draftPoints.push(localPoint);
+
+    const required = REQUIRED_POINTS[this.activeType];
+    if (required !== null && this.draftPoints.length >= required) {
+      return this.finish();
+    }
+
+    this.updateDraftVisual();
+    this.notify();
+    return null;
+  }
+
+  // 撤销最后一个拾取点 (Undo the last picked point)
+  public undoPoint() {
+    this.draftPoints.pop();
+    this.updateDraftVisual();
+    this.notify();
+  }
+
+  // 完成当前测量，点数不足时返回null (Finish the current measurement; null if not enough points)
+  public finish(): Measurement | null {
+    const type = this.activeType;
+    if (!type || this.draftPoints.length < MIN_POINTS[type]) return null;
+
+    const measurement: Measurement = {
+      id: `measure_${this.nextId++}`,
+      type,
+      points: this.draftPoints,
+      value: this.compute(type, this.draftPoints),
+      unit: type === 'area' ? 'm²' : 'm',
+      createdAt: Date.now()
+    };
+
+    this.measurements.push(measurement);
+    this.rebuildVisual(measurement);
+
+    // 距离和高度测量完成后保持当前模式，便于连续测量；路径和面积测量完成后退出
+    this.draftPoints = [];
+    this.activeType = REQUIRED_POINTS[type] === null ? null : type;
+    this.updateDraftVisual();
+    this.notify();
+    return measurement;
+  }
+
+  // 删除测量 (Remove a measurement)
+  public remove(id: string) {
+    this.measurements = this.measurements.filter(measurement => measurement.id !== id);
+    this.disposeVisual(this.visuals.get(id));
+    this.visuals.delete(id);
+    this.notify();
+  }
+
+  // 清空全部测量 (Clear all measurements)
+  public clear() {
+    this.visuals.forEach(visual => this.disposeVisual(visual));
+    this.visuals.clear();
+    this.measurements = [];
+    this.notify();
+  }
+
+  // 同步参考模型的变换，每帧调用 (Sync with the reference transform; call every frame)
+  public update() {
+    if (this.reference) {
+      this.reference.updateWorldMatrix(true, false);
+      this.group.matrix.copy(this.reference.matrixWorld);
+    } else {
+      this.group.matrix.identity();
+    }
+    this.group.matrixWorldNeedsUpdate = true;
+  }
+
+  // 导出测量结果，坐标换算为米 (Export measurements with coordinates in meters)
+  public toJSON() {
+    return {
+      version: 1,
+      unit: 'm',
+      metersPerUnit: this.metersPerUnit,
+      exportedAt: new Date().toISOString(),
+      measurements: this.measurements.map(measurement => ({
+        id: measurement.id,
+        type: measurement.type,
+        value: Number(measurement.value.toFixed(4)),
+        unit: measurement.unit,
+        points: measurement.points.map(point =>
+          point.toArray().map(value => Number((value * this.metersPerUnit).toFixed(4)))
+        ),
+        createdAt: new Date(measurement.createdAt).toISOString()
+      }))
+    };
+  }
+
+  // 监听测量变化，返回取消监听函数 (Listen for changes; returns an unsubscribe function)
+  public onChange(listener: MeasurementListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public dispose() {
+    this.cancel();
+    this.clear();
+    this.listeners.clear();
+    this.group.removeFromParent();
+  }
+
+  private notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  // 计算测量值 (Compute a measurement value)
+  private compute(type: MeasurementType, points: THREE.Vector3[]): number {
+    const scale = this.metersPerUnit;
+
+    switch (type) {
+      case 'distance':
+        return points[0].distanceTo(points[1]) * scale;
+      case 'height':
+        return Math.abs(points[1].y - points[0].y) * scale;
+      case 'path':
+        return points.slice(1).reduce((sum, point, index) => sum + point.distanceTo(points[index]), 0) * scale;
+      case 'area': {
+        // 投影到水平面后按鞋带公式计算地面面积
+        let sum = 0;
+        points.forEach((point, index) => {
+          const next = points[(index + 1) % points.length];
+          sum += point.x * next.z - next.x * point.z;
+        });
+        return Math.abs(sum) / 2 * scale * scale;
+      }
+    }
+  }
+
+  // 测量标签位置 (Label position of a measurement)
+  private labelPosition(type: MeasurementType, points: THREE.Vector3[]): THREE.Vector3 {
+    if (type === 'area') {
+      return points.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(points.length);
+    }
+    if (type === 'height') {
+      return new THREE.Vector3(points[0].x, (points[0].y + points[1].y) / 2, points[0].z);
+    }
+    const last = points.length - 1;
+    return points[last - 1].clone().lerp(points[last], 0.5);
+  }
+
+  // 高度测量绘制为竖直线段加水平线段 (Height is drawn as a vertical plus a horizontal segment)
+  private linePoints(type: MeasurementType, points: THREE.Vector3[]): THREE.Vector3[] {
+    if (type === 'height' && points.length === 2) {
+      const corner = new THREE.Vector3(points[0].x, points[1].y, points[0].z);
+      return [points[0], corner, points[1]];
+    }
+    return points;
+  }
+
+  // 创建测量可视化对象 (Create the visual for a measurement)
+  private createVisual(type: MeasurementType, points: THREE.Vector3[], label?: string): THREE.Object3D {
+    const visual = new THREE.Group();
+    const color = MEASUREMENT_COLORS[type];
+
+    // 测量线始终绘制在模型之上
+    const lineGeometry = new THREE.BufferGeometry().setFromPoints(this.linePoints(type, points));
+    const lineMaterial = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+    const line = type === 'area' && points.length >= 3
+      ? new THREE.LineLoop(lineGeometry, lineMaterial)
+      : new THREE.Line(lineGeometry, lineMaterial);
+    line.renderOrder = 999;
+    visual.add(line);
+
+    const markers = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.PointsMaterial({ color, size: 8, sizeAttenuation: false, depthTest: false, transparent: true })
+    );
+    markers.renderOrder = 999;
+    visual.add(markers);
+
+    if (label) {
+      const element = document.createElement('div');
+      element.className = 'measurement-label';
+      element.textContent = label;
+      element.style.cssText = 'padding:2px 6px;border-radius:3px;background:rgba(0,0,0,0.7);color:#fff;font-size:12px;white-space:nowrap;';
+      const labelObject = new CSS2DObject(element);
+      labelObject.position.copy(this.labelPosition(type, points));
+      visual.add(labelObject);
+    }
+
+    return visual;
+  }
+
+  private rebuildVisual(measurement: Measurement) {
+    this.disposeVisual(this.visuals.get(measurement.id));
+    const visual = this.createVisual(
+      measurement.type,
+      measurement.points,
+      formatMeasurement(measurement.value, measurement.unit)
+    );
+    this.visuals.set(measurement.id, visual);
+    this.group.add(visual);
+  }
+
+  private updateDraftVisual() {
+    this.disposeVisual(this.draftVisual);
+    this.draftVisual = null;
+
+    if (!this.activeType || this.draftPoints.length === 0) return;
+
+    const type = this.activeType;
+    const label = this.draftPoints.length >= MIN_POINTS[type]
+      ? formatMeasurement(this.compute(type, this.draftPoints), type === 'area' ? 'm²' : 'm')
+      : undefined;
+    this.draftVisual = this.createVisual(type, this.draftPoints, label);
+    this.group.add(this.draftVisual);
+  }
+
+  private disposeVisual(visual: THREE.Object3D | null | undefined) {
+    if (!visual) return;
+    visual.removeFromParent();
+    visual.traverse((child) => {
+      if (child instanceof THREE.Line || child instanceof THREE.Points) {
+        child.geometry.dispose();
+        (child.material as THREE.Material).dispose();
+      }
+      if (child instanceof CSS2DObject) {
+        child.element.remove();
+      }
+    });
+  }
+}
+
+export default MeasurementTool;
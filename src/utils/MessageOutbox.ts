@@ -0,0 +1,274 @@
+/**
+ * 消息发件箱
+ * (Message Outbox)
+ *
+ * 断线期间发出的命令和事件保存到IndexedDB，页面刷新后仍然保留；
+ * 通道重新连接后按发出顺序重发。同一消息（按幂等键、消息ID或命令事件）只保留一份，
+ * 已重发的消息再次加入时被忽略，避免服务端重复收到。
+ */
+import type { MCPChannel } from './MCPProtocol';
+
+// 发件箱条目 (Outbox entry)
+export interface OutboxEntry {
+  // 去重键
+  key: string;
+  // 发出顺序
+  seq: number;
+  channel: MCPChannel;
+  kind: 'command' | 'event';
+  // 旧版格式的消息
+  message: any;
+  createdAt: number;
+}
+
+// 发件箱状态 (Outbox status)
+export interface OutboxStatus {
+  size: number;
+  byChannel: Partial<Record<MCPChannel, number>>;
+  // 正在重发的通道
+  flushing: MCPChannel[];
+  lastFlushAt: number | null;
+  // 最近一次保存或重发的错误，保存失败时消息只保留在内存中
+  lastError: string | null;
+}
+
+export interface MessageOutboxConfig {
+  dbName?: string;
+  // 最多保存的条目数，超出时丢弃最早的条目
+  maxEntries?: number;
+}
+
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+// 记住的已发送去重键数量 (Number of sent keys remembered for de-duplication)
+const SENT_KEY_LIMIT = 500;
+
+// 将IDBRequest包装为Promise (Wrap an IDBRequest in a Promise)
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 消息的去重键：幂等键、消息ID，命令结果和事件按命令ID与状态区分；都没有时不去重
+ * @param message 旧版格式的消息
+ */
+export function outboxKey(message: any): string {
+  if (message && typeof message === 'object') {
+    const command = message.command && typeof message.command === 'object' ? message.command : message;
+    if (command.idempotencyKey) return `key:${command.idempotencyKey}`;
+    if (command.id) return `id:${command.id}`;
+    if (message.commandId) return `${message.type}:${message.commandId}:${message.state ?? ''}`;
+  }
+  return `anon:${Date.now()}:${Math.random().toString(36).substring(2, 9)}`;
+}
+
+export class MessageOutbox {
+  private dbName: string;
+  private dbPromise: Promise<IDBDatabase> | null = null;
+  private maxEntries: number;
+  // 内存中的条目，与数据库保持一致 (In-memory entries mirrored to the database)
+  private entries = new Map<string, OutboxEntry>();
+  private sentKeys = new Set<string>();
+  private seq = 0;
+  private ready: Promise<void>;
+  private flushing = new Set<MCPChannel>();
+  private lastFlushAt: number | null = null;
+  private lastError: string | null = null;
+  private listeners = new Set<(status: OutboxStatus) => void>();
+
+  constructor(config: MessageOutboxConfig = {}) {
+    this.dbName = config.dbName || 'MessageOutbox';
+    this.maxEntries = config.maxEntries || 1000;
+    this.ready = this.load();
+  }
+
+  private openDatabase(): Promise<IDBDatabase> {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+          db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // 读取上次会话未发出的条目 (Load entries left over from a previous session)
+  private async load() {
+    try {
+      const db = await this.openDatabase();
+      const transaction = db.transaction([ENTRY_STORE], 'readonly');
+      const stored = await requestToPromise(transaction.objectStore(ENTRY_STORE).getAll()) as OutboxEntry[];
+      stored.forEach((entry) => {
+        this.entries.set(entry.key, entry);
+        this.seq = Math.max(this.seq, entry.seq);
+      });
+      if (stored.length > 0) this.notify();
+    } catch (error) {
+      console.error('读取发件箱失败，断线消息仅保存在内存中:', error);
+    }
+  }
+
+  // 数据库不可用时只保留内存中的条目 (Keep entries in memory only when the database is unavailable)
+  private async persist(action: (store: IDBObjectStore) => IDBRequest) {
+    try {
+      const db = await this.openDatabase();
+      const transaction = db.transaction([ENTRY_STORE], 'readwrite');
+      await requestToPromise(action(transaction.objectStore(ENTRY_STORE)));
+    } catch (error) {
+      console.error('更新发件箱失败:', error);
+      this.lastError = `保存失败: ${error instanceof Error ? error.message : String(error)}`;
+    }
+  }
+
+  /**
+   * 保存待发送的消息，同一去重键的条目被替换并保持原有顺序
+   * @param channel 通道
+   * @param message 旧版格式的消息
+   * @param kind 命令或事件
+   * @returns 保存的条目，消息已发送过时返回null
+   */
+  public async add(channel: MCPChannel, message: any, kind: OutboxEntry['kind']): Promise<OutboxEntry | null> {
+    await this.ready;
+    const key = outboxKey(message);
+    if (this.sentKeys.has(key)) return null;
+
+    const existing = this.entries.get(key);
+    const entry: OutboxEntry = {
+      key,
+      seq: existing?.seq ?? ++this.seq,
+      channel,
+      kind,
+      message,
+      createdAt: existing?.createdAt ?? Date.now()
+    };
+    this.entries.set(key, entry);
+    await this.persist(store => store.put(entry));
+
+    if (this.entries.size > this.maxEntries) {
+      const [oldest] = this.list();
+      console.warn(`发件箱已满，丢弃最早的消息: ${oldest.key}`);
+      await this.remove(oldest.key);
+    }
+
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * 按发出顺序列出条目
+   * @param channel 只列出该通道的条目
+   */
+  public list(channel?: MCPChannel): OutboxEntry[] {
+    return Array.from(this.entries.values())
+      .filter(entry => !channel || entry.channel === channel)
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * 按顺序重发通道的条目，发送失败时停止，剩余条目等待下次重发；
+   * 正在重发时再次调用直接返回，重发期间保存的条目由进行中的重发一并发出
+   * @param channel 通道
+   * @param send 发送条目，失败时抛出错误
+   * @returns 重发的条目数
+   */
+  public async flush(channel: MCPChannel, send: (entry: OutboxEntry) => void | Promise<void>): Promise<number> {
+    await this.ready;
+    if (this.flushing.has(channel)) return 0;
+
+    let pending = this.list(channel);
+    if (pending.length === 0) return 0;
+
+    this.flushing.add(channel);
+    this.notify();
+    let sent = 0;
+    try {
+      // 发完一轮后重新检查，直到通道没有剩余条目
+      while (pending.length > 0) {
+        for (const entry of pending) {
+          // 重发期间可能已被移除
+          if (!this.entries.has(entry.key)) continue;
+          await send(entry);
+          this.markSent(entry.key);
+          await this.remove(entry.key);
+          sent++;
+        }
+        pending = this.list(channel);
+      }
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = `重发失败: ${error instanceof Error ? error.message : String(error)}`;
+      console.warn(`发件箱重发中断，剩余${this.list(channel).length}条消息:`, error);
+    } finally {
+      this.flushing.delete(channel);
+      this.lastFlushAt = Date.now();
+      this.notify();
+    }
+    return sent;
+  }
+
+  public async remove(key: string) {
+    if (!this.entries.delete(key)) return;
+    await this.persist(store => store.delete(key));
+    this.notify();
+  }
+
+  public async clear() {
+    await this.ready;
+    this.entries.clear();
+    await this.persist(store => store.clear());
+    this.notify();
+  }
+
+  public getStatus(): OutboxStatus {
+    const byChannel: Partial<Record<MCPChannel, number>> = {};
+    this.entries.forEach((entry) => {
+      byChannel[entry.channel] = (byChannel[entry.channel] ?? 0) + 1;
+    });
+    return {
+      size: this.entries.size,
+      byChannel,
+      flushing: Array.from(this.flushing),
+      lastFlushAt: this.lastFlushAt,
+      lastError: this.lastError
+    };
+  }
+
+  // 监听发件箱变化，返回取消监听函数 (Listen for outbox changes; returns an unsubscribe function)
+  public onChange(listener: (status: OutboxStatus) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  private markSent(key: string) {
+    this.sentKeys.add(key);
+    if (this.sentKeys.size > SENT_KEY_LIMIT) {
+      this.sentKeys.delete(this.sentKeys.values().next().value!);
+    }
+  }
+
+  private notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+// 单例 (Singleton)
+export const messageOutbox = new MessageOutbox();
+
+export default MessageOutbox;
@@ -0,0 +1,43 @@
+/**
+ * 模拟遥测数据流
+ * (Mock Telemetry Stream)
+ *
+ * 按映射文件中的传感器定义生成随机游走读数，无需连接工厂后端即可测试热力着色
+ */
+import type { TelemetryMapping, TelemetrySource } from './TelemetryManager';
+
+/**
+ * 创建模拟数据源
+ * @param mapping 遥测映射
+ * @param intervalMs 推送间隔（毫秒）
+ */
+export function createMockTelemetrySource(mapping: TelemetryMapping, intervalMs = 1000): TelemetrySource {
+  return {
+    name: 'mock',
+    subscribe: (handler) => {
+      // 每个传感器从范围中点附近开始
+      const values = new Map(mapping.sensors.map(sensor => {
+        const [min, max] = sensor.range;
+        return [sensor.id, min + (max - min) * (0.3 + Math.random() * 0.4)];
+      }));
+
+      const emit = () => {
+        const readings = mapping.sensors.map((sensor) => {
+          const [min, max] = sensor.range;
+          const step = (max - min) * 0.08 * (Math.random() * 2 - 1);
+          const value = Math.min(max, Math.max(min, (values.get(sensor.id) as number) + step));
+          values.set(sensor.id, value);
+          return { sensorId: sensor.id, value: Number(value.toFixed(2)), timestamp: new Date().toISOString() };
+        });
+
+        handler({ type: 'telemetry', readings });
+      };
+
+      emit();
+      const timer = setInterval(emit, intervalMs);
+      return () => clearInterval(timer);
+    }
+  };
+}
+
+export default createMockTelemetrySource;
@@ -0,0 +1,121 @@
+/**
+ * 模型操作定义
+ * (Model Action Definitions)
+ *
+ * 汇总MCPCommandBuilder能构建、ModelViewer能执行的全部操作，
+ * 以及各执行器返回的统一结果结构
+ */
+
+// 相机类操作 (Camera operations)
+export const CAMERA_ACTIONS = ['rotate', 'zoom', 'focus', 'reset'] as const;
+
+// 场景类操作 (Scene operations)
+export const SCENE_ACTIONS = [
+  'highlight',
+  'move',
+  'toggle_visibility',
+  'animate',
+  'settings',
+  'snapshot',
+  'load_model',
+  'query_state',
+  'restore_state',
+  'batch',
+  'annotate',
+  'list_annotations',
+  'remove_annotation',
+  'save_view',
+  'goto_view',
+  'tour',
+  'macro',
+  'undo',
+  'redo',
+  'cancel'
+] as const;
+
+// 全部支持的操作 (All supported actions)
+export const MODEL_ACTIONS: readonly string[] = [...CAMERA_ACTIONS, ...SCENE_ACTIONS];
+
+// 字段级参数错误 (Field-level parameter error)
+export interface ParameterError {
+  // 字段路径，如parameters.angle
+  field: string;
+  message: string;
+}
+
+// 因重复而未执行的命令，见CommandStateManager.checkDuplicate (Command dropped as a duplicate)
+export interface DroppedCommand {
+  reason: 'duplicate_key' | 'in_progress' | 'similar_command';
+  // 判定时使用的去重策略
+  policy: 'key' | 'similarity';
+  message: string;
+  previousCommandId: string;
+  previousTimestamp: number;
+  idempotencyKey?: string;
+}
+
+// 操作执行结果 (Action execution result)
+export interface ModelActionResult {
+  success: boolean;
+  action: string;
+  target?: string;
+  data?: any;
+  error?: string;
+  // 参数校验失败时的字段级错误
+  errors?: ParameterError[];
+  // 命令因重复未执行时的原因
+  dropped?: DroppedCommand;
+}
+
+/**
+ * 判断操作是否受支持
+ * @param action 操作名称
+ */
+export function isSupportedAction(action: string | undefined | null): boolean {
+  return !!action && MODEL_ACTIONS.includes(action);
+}
+
+/**
+ * 构建成功结果
+ * @param action 操作名称
+ * @param data 结果数据
+ * @param target 目标对象
+ */
+export function actionSuccess(action: string, data?: any, target?: string): ModelActionResult {
+  return {
+    success: true,
+    action,
+    ...(target ? { target } : {}),
+    ...(data !== undefined ? { data } : {})
+  };
+}
+
+/**
+ * 构建失败结果
+ * @param action 操作名称
+ * @param error 错误信息
+ * @param target 目标对象
+ * @param errors 字段级参数错误
+ */
+export function actionFailure(action: string, error: string, target?: string, errors?: ParameterError[]): ModelActionResult {
+  return {
+    success: false,
+    action,
+    ...(target ? { target } : {}),
+    error,
+    ...(errors && errors.length > 0 ? { errors } : {})
+  };
+}
+
+/**
+ * 构建重复命令被丢弃的结果
+ * @param action 操作名称
+ * @param dropped 丢弃原因
+ * @param target 目标对象
+ */
+export function actionDropped(action: string, dropped: DroppedCommand, target?: string): ModelActionResult {
+  return {
+    ...actionFailure(action, `命令未执行: ${dropped.message}`, target),
+    dropped
+  };
+}
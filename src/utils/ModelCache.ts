@@ -0,0 +1,427 @@
+/**
+ * 模型缓存
+ * (Model Cache)
+ *
+ * 基于IndexedDB的模型文件缓存：
+ * - 通过ETag/Last-Modified条件请求和内容哈希校验缓存是否过期
+ * - 按最近访问时间(LRU)在字节预算内淘汰旧条目
+ * - 模型只下载一次，下载结果直接用于解析和缓存
+ */
+
+// 缓存条目元数据 (Cache entry metadata)
+export interface ModelCacheEntry {
+  id: string;
+  size: number;
+  hash: string;
+  etag: string | null;
+  lastModified: string | null;
+  storedAt: number;
+  lastAccess: number;
+}
+
+// 获取模型的结果 (Result of fetching a model)
+export interface ModelFetchResult {
+  data: ArrayBuffer;
+  hash: string;
+  // 数据来源：缓存命中、服务器确认未变化、重新下载
+  source: 'cache' | 'revalidated' | 'network';
+}
+
+// 获取模型的选项 (Options for fetching a model)
+export interface ModelFetchOptions {
+  // 是否写入缓存
+  useCache?: boolean;
+  // 期望的内容哈希，SHA-256的十六进制值，可带sha256-或sha256:前缀，也可为SRI格式(sha256-<base64>)；
+  // 与缓存一致时直接使用缓存，无需联网
+  expectedHash?: string;
+  // 忽略缓存强制重新下载
+  forceRefresh?: boolean;
+  // 下载进度回调
+  onProgress?: (loaded: number, total: number) => void;
+}
+
+// 缓存配置 (Cache configuration)
+export interface ModelCacheConfig {
+  dbName?: string;
+  maxBytes?: number;
+}
+
+const DB_VERSION = 2;
+const ENTRY_STORE = 'entries';
+const DATA_STORE = 'blobs';
+const MAX_BYTES_STORAGE_KEY = 'model_cache_max_bytes';
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+
+// 将IDBRequest包装为Promise (Wrap an IDBRequest in a Promise)
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// 等待事务完成 (Wait for a transaction to complete)
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// 是否能计算SHA-256，非安全上下文（如http部署）中不可用 (Whether SHA-256 is available; not outside secure contexts)
+function canDigest(): boolean {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+// 计算内容哈希，安全上下文外回退到FNV-1a (Hash content, falling back to FNV-1a outside secure contexts)
+export async function hashArrayBuffer(data: ArrayBuffer): Promise<string> {
+  if (canDigest()) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    const hex = Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `sha256-${hex}`;
+  }
+
+  const bytes = new Uint8Array(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv1a-${(hash >>> 0).toString(16).padStart(8, '0')}-${bytes.length}`;
+}
+
+/**
+ * 将期望哈希统一为hashArrayBuffer的sha256-<hex>格式
+ * @param hash 十六进制SHA-256，可带sha256-或sha256:前缀，或SRI格式的sha256-<base64>
+ * @returns 无法识别时返回null
+ */
+export function normalizeContentHash(hash: string): string | null {
+  const value = hash.trim();
+  const hex = value.replace(/^sha256[-:]/i, '');
+  if (/^[0-9a-f]{64}$/i.test(hex)) return `sha256-${hex.toLowerCase()}`;
+
+  const sri = /^sha256-([A-Za-z0-9+/]{43}=)$/.exec(value);
+  if (sri) {
+    const bytes = Array.from(atob(sri[1]), char => char.charCodeAt(0));
+    return `sha256-${bytes.map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  }
+  return null;
+}
+
+// 可用于校验的期望哈希，格式无法识别或无法计算SHA-256时跳过校验 (Expected hash to verify against, or undefined to skip verification)
+function verifiableHash(hash: string | undefined, url: string): string | undefined {
+  if (!hash) return undefined;
+  const normalized = normalizeContentHash(hash);
+  if (!normalized) {
+    console.warn(`无法识别的模型哈希格式，跳过校验: ${hash} (${url})`);
+    return undefined;
+  }
+  if (!canDigest()) {
+    console.warn(`当前环境无法计算SHA-256（需要HTTPS），跳过模型哈希校验: ${url}`);
+    return undefined;
+  }
+  return normalized;
+}
+
+// 读取响应体并上报进度 (Read the response body while reporting progress)
+async function readResponse(response: Response, onProgress?: (loaded: number, total: number) => void): Promise<ArrayBuffer> {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+
+  if (!response.body || !onProgress) {
+    const data = await response.arrayBuffer();
+    onProgress?.(data.byteLength, data.byteLength);
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let loaded = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, total);
+  }
+
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return data.buffer;
+}
+
+// 模型缓存类 (Model cache class)
+export class ModelCache {
+  private dbName: string;
+  private dbPromise: Promise<IDBDatabase> | null = null;
+  private maxBytes: number;
+
+  constructor(config: ModelCacheConfig = {}) {
+    this.dbName = config.dbName || 'ModelCache';
+
+    const storedMaxBytes = Number(localStorage.getItem(MAX_BYTES_STORAGE_KEY));
+    this.maxBytes = storedMaxBytes > 0 ? storedMaxBytes : (config.maxBytes || DEFAULT_MAX_BYTES);
+  }
+
+  // 打开数据库，旧版本的无版本信息条目在升级时丢弃
+  private openDatabase(): Promise<IDBDatabase> {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (db.objectStoreNames.contains('models')) {
+          db.deleteObjectStore('models');
+        }
+        if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+          const store = db.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+          store.createIndex('lastAccess', 'lastAccess', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(DATA_STORE)) {
+          db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // 获取字节预算
+  public getMaxBytes(): number {
+    return this.maxBytes;
+  }
+
+  // 设置字节预算，并立即按新预算淘汰
+  public async setMaxBytes(maxBytes: number): Promise<void> {
+    if (!(maxBytes > 0)) {
+      throw new Error(`无效的缓存预算: ${maxBytes}`);
+    }
+    this.maxBytes = maxBytes;
+    localStorage.setItem(MAX_BYTES_STORAGE_KEY, String(maxBytes));
+    await this.evict();
+  }
+
+  // 列出全部缓存条目（不含数据），按最近访问时间倒序
+  public async list(): Promise<ModelCacheEntry[]> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRY_STORE], 'readonly');
+    const entries = await requestToPromise(transaction.objectStore(ENTRY_STORE).getAll());
+    return (entries as ModelCacheEntry[]).sort((a, b) => b.lastAccess - a.lastAccess);
+  }
+
+  // 缓存占用的总字节数
+  public async getTotalSize(): Promise<number> {
+    const entries = await this.list();
+    return entries.reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  // 获取条目元数据
+  public async getEntry(id: string): Promise<ModelCacheEntry | null> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRY_STORE], 'readonly');
+    const entry = await requestToPromise(transaction.objectStore(ENTRY_STORE).get(id));
+    return (entry as ModelCacheEntry) || null;
+  }
+
+  // 读取缓存数据，并校验内容哈希，损坏的条目会被删除
+  public async read(id: string): Promise<{ entry: ModelCacheEntry, data: ArrayBuffer } | null> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readonly');
+    const [entry, record] = await Promise.all([
+      requestToPromise(transaction.objectStore(ENTRY_STORE).get(id)),
+      requestToPromise(transaction.objectStore(DATA_STORE).get(id))
+    ]);
+
+    if (!entry || !record?.data) return null;
+
+    const hash = await hashArrayBuffer(record.data);
+    if (hash !== entry.hash) {
+      console.warn(`缓存条目哈希不一致，已丢弃: ${id}`);
+      await this.remove(id);
+      return null;
+    }
+
+    return { entry, data: record.data };
+  }
+
+  // 写入缓存条目
+  public async store(
+    id: string,
+    data: ArrayBuffer,
+    meta: { hash: string, etag?: string | null, lastModified?: string | null }
+  ): Promise<boolean> {
+    // 单个文件超过预算时不缓存
+    if (data.byteLength > this.maxBytes) {
+      console.warn(`模型大小超过缓存预算，不缓存: ${id}`);
+      return false;
+    }
+
+    const now = Date.now();
+    const entry: ModelCacheEntry = {
+      id,
+      size: data.byteLength,
+      hash: meta.hash,
+      etag: meta.etag || null,
+      lastModified: meta.lastModified || null,
+      storedAt: now,
+      lastAccess: now
+    };
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).put(entry);
+    transaction.objectStore(DATA_STORE).put({ id, data });
+    await transactionDone(transaction);
+
+    await this.evict(id);
+    return true;
+  }
+
+  // 更新条目的访问时间和校验信息
+  public async touch(id: string, meta: Partial<ModelCacheEntry> = {}): Promise<void> {
+    const entry = await this.getEntry(id);
+    if (!entry) return;
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRY_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).put({ ...entry, ...meta, id, lastAccess: Date.now() });
+    await transactionDone(transaction);
+  }
+
+  // 删除单个条目
+  public async remove(id: string): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).delete(id);
+    transaction.objectStore(DATA_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  // 清空缓存
+  public async clear(): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).clear();
+    transaction.objectStore(DATA_STORE).clear();
+    await transactionDone(transaction);
+  }
+
+  // 按LRU淘汰条目直到总大小不超过预算，keepId为刚写入的条目
+  public async evict(keepId?: string): Promise<string[]> {
+    const entries = (await this.list()).sort((a, b) => a.lastAccess - b.lastAccess);
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const evicted: string[] = [];
+
+    for (const entry of entries) {
+      if (total <= this.maxBytes) break;
+      if (entry.id === keepId) continue;
+      await this.remove(entry.id);
+      total -= entry.size;
+      evicted.push(entry.id);
+    }
+
+    if (evicted.length > 0) {
+      console.log(`模型缓存已淘汰${evicted.length}个条目:`, evicted);
+    }
+    return evicted;
+  }
+
+  /**
+   * 获取模型数据：命中且有效时使用缓存，否则下载一次并写入缓存
+   * @param url 模型URL
+   * @param options 获取选项
+   */
+  public async fetchModel(url: string, options: ModelFetchOptions = {}): Promise<ModelFetchResult> {
+    const useCache = options.useCache !== false;
+    const expectedHash = verifiableHash(options.expectedHash, url);
+    const cached = useCache && !options.forceRefresh ? await this.read(url).catch(() => null) : null;
+
+    // 期望哈希与缓存一致时无需联网
+    if (cached && expectedHash && cached.entry.hash === expectedHash) {
+      await this.touch(url);
+      options.onProgress?.(cached.data.byteLength, cached.data.byteLength);
+      return { data: cached.data, hash: cached.entry.hash, source: 'cache' };
+    }
+
+    // 缓存与期望哈希不一致时不能使用，不发条件请求而是重新下载
+    const usable = cached && !expectedHash ? cached : null;
+
+    // 带上校验信息发起条件请求
+    const headers: Record<string, string> = {};
+    if (usable?.entry.etag) headers['If-None-Match'] = usable.entry.etag;
+    if (usable?.entry.lastModified) headers['If-Modified-Since'] = usable.entry.lastModified;
+
+    let response: Response;
+    try {
+      response = await fetch(url, { headers, cache: 'no-cache' });
+    } catch (error) {
+      // 网络不可用时退回缓存
+      if (usable) {
+        console.warn(`无法校验模型缓存，使用离线缓存: ${url}`);
+        options.onProgress?.(usable.data.byteLength, usable.data.byteLength);
+        return { data: usable.data, hash: usable.entry.hash, source: 'cache' };
+      }
+      if (cached) {
+        throw new Error(`无法下载模型，离线缓存的哈希与期望不一致: 期望${expectedHash}，缓存${cached.entry.hash}`);
+      }
+      throw error;
+    }
+
+    if (response.status === 304 && usable) {
+      await this.touch(url);
+      options.onProgress?.(usable.data.byteLength, usable.data.byteLength);
+      return { data: usable.data, hash: usable.entry.hash, source: 'revalidated' };
+    }
+
+    if (!response.ok) {
+      throw new Error(`模型下载失败: HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const data = await readResponse(response, options.onProgress);
+    const hash = await hashArrayBuffer(data);
+    if (expectedHash && expectedHash !== hash) {
+      throw new Error(`模型内容哈希不匹配: 期望${expectedHash}，实际${hash}`);
+    }
+
+    const meta = {
+      hash,
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified')
+    };
+
+    if (useCache) {
+      try {
+        // 内容未变化时只刷新校验信息，避免重复写入大文件
+        if (cached && cached.entry.hash === hash) {
+          await this.touch(url, meta);
+        } else {
+          await this.store(url, data, meta);
+        }
+      } catch (error) {
+        console.error('模型数据缓存失败 (Model data caching failed):', error);
+      }
+    }
+
+    return { data, hash, source: 'network' };
+  }
+}
+
+// 创建单例，供模型加载和缓存面板共用
+export const modelCache = new ModelCache({
+  maxBytes: Number(import.meta.env.VITE_MODEL_CACHE_MAX_MB) * 1024 * 1024 || undefined
+});
+
+export default ModelCache;
@@ -0,0 +1,59 @@
+/**
+ * 场景大纲
+ * (Scene Outline)
+ *
+ * 将模型节点层级转换为可供大纲面板展示的纯数据树
+ */
+import * as THREE from 'three';
+
+// 大纲节点 (Outline node)
+export interface OutlineNode {
+  id: string;
+  name: string;
+  type: string;
+  // 是否为可交互的anchor_节点
+  anchor: boolean;
+  // anchor_节点的操作类型，来自userData.operation
+  operation: string | null;
+  visible: boolean;
+  children: OutlineNode[];
+}
+
+// 判断是否为可交互的anchor_节点 (Whether the node is an interactive anchor_ node)
+export const isAnchorNode = (object: THREE.Object3D) => object.name.includes('anchor_');
+
+// 向上查找最近的anchor_祖先（含自身） (Find the nearest anchor_ ancestor, including itself)
+export const findAnchorAncestor = (object: THREE.Object3D | null): THREE.Object3D | null => {
+  let current = object;
+  while (current && !isAnchorNode(current)) {
+    current = current.parent;
+  }
+  return current;
+};
+
+/**
+ * 遍历模型构建大纲树
+ * @param root 模型根节点
+ */
+export function buildSceneOutline(root: THREE.Object3D): OutlineNode {
+  const nodes = new Map<string, OutlineNode>();
+
+  root.traverse((object) => {
+    const node: OutlineNode = {
+      id: object.uuid,
+      name: object.name || `(${object.type})`,
+      type: object.type,
+      anchor: isAnchorNode(object),
+      operation: object.userData.operation || null,
+      visible: object.visible,
+      children: []
+    };
+    nodes.set(object.uuid, node);
+
+    // traverse先访问父节点，父节点一定已经创建
+    const parentNode = object !== root && object.parent ? nodes.get(object.parent.uuid) : null;
+    parentNode?.children.push(node);
+  });
+
+  return nodes.get(root.uuid) as OutlineNode;
+}
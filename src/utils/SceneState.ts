@@ -0,0 +1,258 @@
+/**
+ * 场景状态
+ * (Scene State)
+ *
+ * 将相机、节点变换、可见性、材质替换、选择集合和播放中的动画序列化为JSON，
+ * 用于query_state返回、保存为文件、restore_state恢复，以及页面刷新后自动恢复。
+ * 节点按从模型根节点起的子节点索引路径定位，路径失效时按名称查找。
+ */
+import * as THREE from 'three';
+
+export const SCENE_STATE_VERSION = 1;
+
+type Vec3 = [number, number, number];
+
+// 节点变换和可见性 (Node transform and visibility)
+export interface NodeState {
+  path: string;
+  name: string;
+  position: Vec3;
+  quaternion: [number, number, number, number];
+  scale: Vec3;
+  visible: boolean;
+}
+
+export type MaterialType = 'standard' | 'phong' | 'basic';
+
+// 材质替换 (Material override)
+export interface MaterialOverride {
+  path: string;
+  name: string;
+  type: MaterialType;
+  color: string;
+  options: Record<string, any>;
+}
+
+// 选中的节点 (Selected node)
+export interface SelectedNode {
+  path: string;
+  name: string;
+  color: string | null;
+}
+
+// 场景状态 (Scene state)
+export interface SceneState {
+  version: number;
+  savedAt: string;
+  modelPath: string | null;
+  // 模型来自本地文件，无法自动重新加载
+  localModel: boolean;
+  camera: {
+    position: Vec3;
+    target: Vec3;
+    fov: number;
+  };
+  // 与加载时不同的节点
+  nodes: NodeState[];
+  materials: MaterialOverride[];
+  selection: SelectedNode[];
+  animations: string[];
+  settings: Record<string, any>;
+}
+
+// 节点加载时的变换和可见性 (Node transform and visibility at load time)
+export type NodeBaseline = Map<THREE.Object3D, Omit<NodeState, 'path' | 'name'>>;
+
+const STORAGE_KEY = 'scene_state';
+const PRECISION = 1e6;
+
+const round = (value: number) => Math.round(value * PRECISION) / PRECISION;
+const roundAll = <T extends number[]>(values: T): T => values.map(round) as T;
+
+const isVector = (value: any, length = 3): boolean =>
+  Array.isArray(value) && value.length === length && value.every(item => Number.isFinite(item));
+
+const MATERIAL_TYPES: Record<string, MaterialType> = {
+  MeshStandardMaterial: 'standard',
+  MeshPhysicalMaterial: 'standard',
+  MeshPhongMaterial: 'phong',
+  MeshBasicMaterial: 'basic'
+};
+
+/**
+ * 节点相对模型根节点的索引路径，如"0/3/1"，根节点为空字符串
+ * @param root 模型根节点
+ * @param object 节点
+ */
+export function nodePath(root: THREE.Object3D, object: THREE.Object3D): string {
+  const indices: number[] = [];
+  let current: THREE.Object3D | null = object;
+  while (current && current !== root) {
+    const parent: THREE.Object3D | null = current.parent;
+    if (!parent) return '';
+    indices.unshift(parent.children.indexOf(current));
+    current = parent;
+  }
+  return indices.join('/');
+}
+
+/**
+ * 按路径查找节点，路径对应的节点名称不符时按名称查找
+ * @param root 模型根节点
+ * @param path 索引路径
+ * @param name 节点名称
+ */
+export function resolveNode(root: THREE.Object3D, path: string, name: string): THREE.Object3D | null {
+  let current: THREE.Object3D | undefined = root;
+  for (const index of path ? path.split('/') : []) {
+    current = current?.children[Number(index)];
+  }
+  if (current && current.name === name) return current;
+  return name ? root.getObjectByName(name) ?? null : null;
+}
+
+// 读取节点当前的变换和可见性 (Read a node's current transform and visibility)
+const readNode = (object: THREE.Object3D): Omit<NodeState, 'path' | 'name'> => ({
+  position: roundAll(object.position.toArray()),
+  quaternion: roundAll(object.quaternion.toArray() as [number, number, number, number]),
+  scale: roundAll(object.scale.toArray()),
+  visible: object.visible
+});
+
+/**
+ * 记录模型加载后各节点的变换和可见性，序列化时只保存与之不同的节点
+ * @param root 模型根节点
+ */
+export function captureNodeBaseline(root: THREE.Object3D): NodeBaseline {
+  const baseline: NodeBaseline = new Map();
+  root.traverse(object => baseline.set(object, readNode(object)));
+  return baseline;
+}
+
+/**
+ * 序列化与加载时不同的节点
+ * @param root 模型根节点
+ * @param baseline 加载时的节点状态
+ */
+export function serializeNodes(root: THREE.Object3D, baseline: NodeBaseline): NodeState[] {
+  const nodes: NodeState[] = [];
+  root.traverse((object) => {
+    const state = readNode(object);
+    if (JSON.stringify(state) !== JSON.stringify(baseline.get(object))) {
+      nodes.push({ path: nodePath(root, object), name: object.name, ...state });
+    }
+  });
+  return nodes;
+}
+
+/**
+ * 将节点恢复到保存的状态
+ * @param object 节点
+ * @param state 节点状态
+ */
+export function applyNodeState(object: THREE.Object3D, state: Omit<NodeState, 'path' | 'name'>) {
+  object.position.fromArray(state.position);
+  object.quaternion.fromArray(state.quaternion);
+  object.scale.fromArray(state.scale);
+  object.visible = state.visible;
+}
+
+/**
+ * 序列化网格的替换材质，不支持的材质类型返回null
+ * @param root 模型根节点
+ * @param mesh 网格
+ */
+export function serializeMaterial(root: THREE.Object3D, mesh: THREE.Mesh): MaterialOverride | null {
+  const material = mesh.material as any;
+  const type = MATERIAL_TYPES[material?.type];
+  if (!type || !material.color) return null;
+
+  const options: Record<string, any> = {};
+  if (material.emissive && material.emissive.getHex() !== 0) {
+    options.emissive = `#${material.emissive.getHexString()}`;
+    options.emissiveIntensity = material.emissiveIntensity;
+  }
+  if (material.transparent) {
+    options.transparent = true;
+    options.opacity = material.opacity;
+  }
+  if (material.wireframe) options.wireframe = true;
+
+  return {
+    path: nodePath(root, mesh),
+    name: mesh.name,
+    type,
+    color: `#${material.color.getHexString()}`,
+    options
+  };
+}
+
+/**
+ * 校验场景状态数据
+ * @param data 场景状态JSON
+ * @throws 数据无效时
+ */
+export function validateSceneState(data: any): SceneState {
+  if (!data || typeof data !== 'object') {
+    throw new Error('无效的场景状态');
+  }
+  if (data.version !== SCENE_STATE_VERSION) {
+    throw new Error(`不支持的场景状态版本: ${data.version}`);
+  }
+  if (!isVector(data.camera?.position) || !isVector(data.camera?.target)) {
+    throw new Error('场景状态缺少相机位置camera.position/target');
+  }
+
+  const nodes = Array.isArray(data.nodes) ? data.nodes : [];
+  nodes.forEach((node: any, index: number) => {
+    if (typeof node?.path !== 'string' || !isVector(node.position) || !isVector(node.quaternion, 4) || !isVector(node.scale)) {
+      throw new Error(`场景状态节点${index + 1}无效`);
+    }
+  });
+
+  return {
+    version: SCENE_STATE_VERSION,
+    savedAt: typeof data.savedAt === 'string' ? data.savedAt : new Date().toISOString(),
+    modelPath: typeof data.modelPath === 'string' ? data.modelPath : null,
+    localModel: data.localModel === true,
+    camera: {
+      position: data.camera.position,
+      target: data.camera.target,
+      fov: Number.isFinite(data.camera.fov) ? data.camera.fov : 75
+    },
+    nodes: nodes.map((node: any) => ({ ...node, name: String(node.name ?? ''), visible: node.visible !== false })),
+    materials: (Array.isArray(data.materials) ? data.materials : [])
+      .filter((item: any) => typeof item?.path === 'string' && typeof item.color === 'string'),
+    selection: (Array.isArray(data.selection) ? data.selection : [])
+      .filter((item: any) => typeof item?.path === 'string'),
+    animations: (Array.isArray(data.animations) ? data.animations : []).filter((name: any) => typeof name === 'string'),
+    settings: data.settings && typeof data.settings === 'object' ? data.settings : {}
+  };
+}
+
+// 页面刷新后恢复用的本地存储 (Local storage used to restore the session after a reload)
+export const sceneStateStore = {
+  save(state: SceneState) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.error('保存场景状态失败:', error);
+    }
+  },
+
+  load(): SceneState | null {
+    try {
+      const data = localStorage.getItem(STORAGE_KEY);
+      return data ? validateSceneState(JSON.parse(data)) : null;
+    } catch (error) {
+      console.error('读取场景状态失败:', error);
+      return null;
+    }
+  },
+
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+export default sceneStateStore;
@@ -0,0 +1,159 @@
+/**
+ * 选择管理器
+ * (Selection Manager)
+ *
+ * 维护选中部件集合，并通过后处理描边(OutlinePass)高亮，不修改部件原始材质。
+ * 每种高亮颜色对应一个描边通道，按需创建和复用。
+ */
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+// 默认选中高亮颜色 (Default selection color)
+export const DEFAULT_SELECTION_COLOR = '#ffcc00';
+
+// 选择选项 (Selection options)
+export interface SelectOptions {
+  // 追加到当前选择，否则替换当前选择
+  additive?: boolean;
+  // 高亮颜色
+  color?: string;
+}
+
+// 选择变化回调 (Selection change listener)
+export type SelectionListener = (selection: THREE.Object3D[]) => void;
+
+export class SelectionManager {
+  public readonly composer: EffectComposer;
+
+  private scene: THREE.Scene;
+  private camera: THREE.Camera;
+  private selection = new Map<THREE.Object3D, string>();
+  private outlinePasses = new Map<string, OutlinePass>();
+  private outputPass: OutputPass;
+  private listeners = new Set<SelectionListener>();
+
+  constructor(renderer: THREE.WebGLRenderer, scene: THREE.Scene, camera: THREE.Camera) {
+    this.scene = scene;
+    this.camera = camera;
+
+    this.composer = new EffectComposer(renderer);
+    this.composer.addPass(new RenderPass(scene, camera));
+    this.outputPass = new OutputPass();
+    this.composer.addPass(this.outputPass);
+  }
+
+  // 获取或创建指定颜色的描边通道 (Get or create the outline pass for a color)
+  private getOutlinePass(color: string): OutlinePass {
+    let pass = this.outlinePasses.get(color);
+    if (!pass) {
+      const size = this.composer.renderer.getSize(new THREE.Vector2());
+      pass = new OutlinePass(size, this.scene, this.camera);
+      pass.visibleEdgeColor.set(color);
+      pass.hiddenEdgeColor.set(color).multiplyScalar(0.4);
+      pass.edgeStrength = 4;
+      pass.edgeThickness = 1.5;
+
+      // 描边通道需位于输出通道之前
+      this.composer.insertPass(pass, this.composer.passes.indexOf(this.outputPass));
+      this.outlinePasses.set(color, pass);
+    }
+    return pass;
+  }
+
+  // 将选择集合同步到各描边通道 (Sync the selection to the outline passes)
+  private sync() {
+    const byColor = new Map<string, THREE.Object3D[]>();
+    this.selection.forEach((color, object) => {
+      byColor.set(color, [...(byColor.get(color) || []), object]);
+    });
+
+    byColor.forEach((_, color) => this.getOutlinePass(color));
+    this.outlinePasses.forEach((pass, color) => {
+      pass.selectedObjects = byColor.get(color) || [];
+      pass.enabled = pass.selectedObjects.length > 0;
+    });
+
+    const selection = this.getSelection();
+    this.listeners.forEach(listener => listener(selection));
+  }
+
+  /**
+   * 选中部件
+   * @param objects 部件或部件列表
+   * @param options 选择选项
+   */
+  public select(objects: THREE.Object3D | THREE.Object3D[], options: SelectOptions = {}) {
+    if (!options.additive) {
+      this.selection.clear();
+    }
+
+    const color = new THREE.Color(options.color || DEFAULT_SELECTION_COLOR).getHexString();
+    ([] as THREE.Object3D[]).concat(objects).forEach(object => this.selection.set(object, `#${color}`));
+    this.sync();
+  }
+
+  // 取消选中部件 (Deselect objects)
+  public deselect(objects: THREE.Object3D | THREE.Object3D[]) {
+    ([] as THREE.Object3D[]).concat(objects).forEach(object => this.selection.delete(object));
+    this.sync();
+  }
+
+  // 切换部件选中状态，用于Shift/Ctrl点选 (Toggle selection, used for shift/ctrl picking)
+  public toggle(object: THREE.Object3D, options: Omit<SelectOptions, 'additive'> = {}) {
+    if (this.selection.has(object)) {
+      this.deselect(object);
+    } else {
+      this.select(object, { ...options, additive: true });
+    }
+  }
+
+  // 清空选择 (Clear the selection)
+  public clear() {
+    if (this.selection.size === 0) return;
+    this.selection.clear();
+    this.sync();
+  }
+
+  public has(object: THREE.Object3D): boolean {
+    return this.selection.has(object);
+  }
+
+  public getSelection(): THREE.Object3D[] {
+    return Array.from(this.selection.keys());
+  }
+
+  public getColor(object: THREE.Object3D): string | null {
+    return this.selection.get(object) || null;
+  }
+
+  // 监听选择变化，返回取消监听函数 (Listen for selection changes; returns an unsubscribe function)
+  public onChange(listener: SelectionListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public setSize(width: number, height: number) {
+    this.composer.setSize(width, height);
+  }
+
+  public setPixelRatio(pixelRatio: number) {
+    this.composer.setPixelRatio(pixelRatio);
+  }
+
+  public render(delta?: number) {
+    this.composer.render(delta);
+  }
+
+  public dispose() {
+    this.selection.clear();
+    this.listeners.clear();
+    this.outlinePasses.forEach(pass => pass.dispose());
+    this.outlinePasses.clear();
+    this.composer.dispose();
+  }
+}
+
+export default SelectionManager;
@@ -0,0 +1,137 @@
+/**
+ * 场景快照
+ * (Scene Snapshot)
+ *
+ * 以指定分辨率离屏渲染当前场景，与画布尺寸无关。超过WebGL绘制缓冲区上限的尺寸
+ * 通过相机视口偏移分块渲染后拼接；可选透明背景并隐藏场景内的辅助叠加层。
+ * HTML标签（CSS2D）和描边高亮不属于WebGL场景，不会出现在快照中。
+ */
+import * as THREE from 'three';
+
+export type SnapshotFormat = 'png' | 'jpeg' | 'webp';
+
+// 快照选项 (Snapshot options)
+export interface SnapshotOptions {
+  width: number;
+  height: number;
+  // 透明背景，仅png和webp支持
+  transparent?: boolean;
+  // 隐藏名称以"__"开头的辅助叠加层（测量线、标注图钉等），默认true
+  hideOverlays?: boolean;
+  format?: SnapshotFormat;
+  // jpeg/webp质量(0~1)
+  quality?: number;
+}
+
+// 快照结果 (Snapshot result)
+export interface SnapshotResult {
+  dataUrl: string;
+  mimeType: string;
+  width: number;
+  height: number;
+  tiles: number;
+}
+
+// 快照单边最大像素 (Maximum pixels per side)
+export const MAX_SNAPSHOT_SIZE = 8192;
+
+// 单块渲染的最大尺寸 (Maximum size of a single rendered tile)
+const MAX_TILE_SIZE = 2048;
+
+// 场景中辅助叠加层的名称前缀 (Name prefix of overlay groups in the scene)
+const OVERLAY_PREFIX = '__';
+
+/**
+ * 渲染快照，完成后恢复渲染器尺寸、清屏颜色、背景和叠加层可见性
+ * @param renderer WebGL渲染器
+ * @param scene 场景
+ * @param camera 当前相机，快照使用其副本
+ * @param options 快照选项
+ */
+export function renderSnapshot(
+  renderer: THREE.WebGLRenderer,
+  scene: THREE.Scene,
+  camera: THREE.PerspectiveCamera,
+  options: SnapshotOptions
+): SnapshotResult {
+  const width = Math.round(options.width);
+  const height = Math.round(options.height);
+  if (!(width > 0 && height > 0) || width > MAX_SNAPSHOT_SIZE || height > MAX_SNAPSHOT_SIZE) {
+    throw new Error(`快照尺寸无效，宽高须在1~${MAX_SNAPSHOT_SIZE}之间: ${options.width}x${options.height}`);
+  }
+
+  const format = options.format || 'png';
+  const transparent = options.transparent === true && format !== 'jpeg';
+  const mimeType = `image/${format}`;
+
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const context = output.getContext('2d');
+  if (!context) {
+    throw new Error('无法创建2D画布');
+  }
+
+  // 保存渲染器状态
+  const previousSize = renderer.getSize(new THREE.Vector2());
+  const previousPixelRatio = renderer.getPixelRatio();
+  const previousClearColor = renderer.getClearColor(new THREE.Color());
+  const previousClearAlpha = renderer.getClearAlpha();
+  const previousBackground = scene.background;
+  const hiddenOverlays = options.hideOverlays === false
+    ? []
+    : scene.children.filter(child => child.name.startsWith(OVERLAY_PREFIX) && child.visible);
+
+  const maxViewport = renderer.getContext().getParameter(renderer.getContext().MAX_VIEWPORT_DIMS) as Int32Array;
+  const tileWidth = Math.min(width, MAX_TILE_SIZE, maxViewport[0]);
+  const tileHeight = Math.min(height, MAX_TILE_SIZE, maxViewport[1]);
+
+  const snapshotCamera = camera.clone();
+  snapshotCamera.aspect = width / height;
+
+  let tiles = 0;
+  try {
+    hiddenOverlays.forEach(child => { child.visible = false; });
+    if (transparent) {
+      scene.background = null;
+      renderer.setClearColor(0x000000, 0);
+    } else if (!scene.background) {
+      renderer.setClearColor(0xffffff, 1);
+    }
+
+    renderer.setPixelRatio(1);
+
+    for (let y = 0; y < height; y += tileHeight) {
+      for (let x = 0; x < width; x += tileWidth) {
+        const w = Math.min(tileWidth, width - x);
+        const h = Math.min(tileHeight, height - y);
+
+        renderer.setSize(w, h, false);
+        snapshotCamera.setViewOffset(width, height, x, y, w, h);
+        snapshotCamera.updateProjectionMatrix();
+        renderer.render(scene, snapshotCamera);
+
+        // 在同一帧内复制画布内容，避免读到已清空的缓冲区
+        context.drawImage(renderer.domElement, 0, 0, w, h, x, y, w, h);
+        tiles++;
+      }
+    }
+  } finally {
+    hiddenOverlays.forEach(child => { child.visible = true; });
+    scene.background = previousBackground;
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    renderer.setPixelRatio(previousPixelRatio);
+    renderer.setSize(previousSize.x, previousSize.y, false);
+    renderer.render(scene, camera);
+  }
+
+  return {
+    dataUrl: output.toDataURL(mimeType, options.quality),
+    mimeType,
+    width,
+    height,
+    tiles
+  };
+}
+
+export default renderSnapshot;
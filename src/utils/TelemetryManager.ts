@@ -0,0 +1,340 @@
+/**
+ * 遥测管理器
+ * (Telemetry Manager)
+ *
+ * 订阅传感器数据流，按声明式映射文件（传感器ID → 节点名称 → 数值范围 → 色带）
+ * 计算每个节点的热力颜色，并通过回调交给视图着色。
+ */
+import * as THREE from 'three';
+
+// 色带：[位置(0~1), 颜色]列表 (Color ramp: list of [position (0..1), color])
+export interface TelemetryRamp {
+  label?: string;
+  stops: [number, string][];
+}
+
+// 传感器映射 (Sensor mapping)
+export interface TelemetrySensor {
+  id: string;
+  node: string;
+  label?: string;
+  unit?: string;
+  range: [number, number];
+  ramp: string;
+}
+
+// 映射文件 (Mapping file)
+export interface TelemetryMapping {
+  version: number;
+  endpoint?: string;
+  ramps: Record<string, TelemetryRamp>;
+  sensors: TelemetrySensor[];
+}
+
+// 单条读数 (Single reading)
+export interface TelemetryReading {
+  sensorId: string;
+  value: number;
+  timestamp: number;
+}
+
+// 节点当前状态 (Current state of a node)
+export interface TelemetryNodeState {
+  sensor: TelemetrySensor;
+  reading: TelemetryReading;
+  color: string;
+}
+
+// 图例条目 (Legend entry)
+export interface TelemetryLegendEntry {
+  ramp: string;
+  label: string;
+  unit: string;
+  range: [number, number];
+  gradient: string;
+}
+
+// 数据源：订阅读数消息，返回取消订阅函数 (Data source: subscribe to messages, returns an unsubscribe function)
+export interface TelemetrySource {
+  name: string;
+  subscribe: (handler: (message: any) => void) => Promise<() => void> | (() => void);
+}
+
+// 视图着色回调 (View coloring callbacks)
+export interface TelemetryRenderer {
+  apply: (node: string, color: string, state: TelemetryNodeState) => void;
+  restore: (node: string) => void;
+}
+
+// 颜色量化级数，限制材质缓存中的材质数量 (Color quantization steps, bounding the number of cached materials)
+const COLOR_STEPS = 32;
+
+// 录制缓冲区保留的最大读数条数 (Maximum readings kept in the recording buffer)
+const RECORDING_LIMIT = 50000;
+
+/**
+ * 按色带计算颜色
+ * @param ramp 色带
+ * @param t 归一化数值(0~1)
+ */
+export function sampleRamp(ramp: TelemetryRamp, t: number): string {
+  const stops = [...ramp.stops].sort((a, b) => a[0] - b[0]);
+  const position = Math.round(THREE.MathUtils.clamp(t, 0, 1) * COLOR_STEPS) / COLOR_STEPS;
+
+  if (position <= stops[0][0]) return `#${new THREE.Color(stops[0][1]).getHexString()}`;
+
+  for (let i = 1; i < stops.length; i++) {
+    const [end, endColor] = stops[i];
+    if (position <= end) {
+      const [start, startColor] = stops[i - 1];
+      const ratio = end === start ? 1 : (position - start) / (end - start);
+      return `#${new THREE.Color(startColor).lerp(new THREE.Color(endColor), ratio).getHexString()}`;
+    }
+  }
+
+  return `#${new THREE.Color(stops[stops.length - 1][1]).getHexString()}`;
+}
+
+/**
+ * 校验映射文件
+ * @param data 映射数据
+ */
+export function validateMapping(data: any): TelemetryMapping {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.sensors) || !data.ramps) {
+    throw new Error('无效的遥测映射：缺少sensors或ramps');
+  }
+
+  Object.entries(data.ramps as Record<string, TelemetryRamp>).forEach(([name, ramp]) => {
+    if (!Array.isArray(ramp?.stops) || ramp.stops.length === 0) {
+      throw new Error(`无效的色带: ${name}`);
+    }
+  });
+
+  data.sensors.forEach((sensor: TelemetrySensor) => {
+    if (!sensor.id || !sensor.node) {
+      throw new Error('无效的传感器映射：缺少id或node');
+    }
+    if (!Array.isArray(sensor.range) || sensor.range.length !== 2 || !(sensor.range[1] > sensor.range[0])) {
+      throw new Error(`传感器${sensor.id}的数值范围无效`);
+    }
+    if (!data.ramps[sensor.ramp]) {
+      throw new Error(`传感器${sensor.id}引用了不存在的色带: ${sensor.ramp}`);
+    }
+  });
+
+  return data as TelemetryMapping;
+}
+
+// 从消息中提取读数，支持单条和批量格式 (Extract readings from single or batched messages)
+// reset为true的消息表示一份完整快照，未包含的节点应恢复原状；replay为true表示回放数据
+export function parseTelemetryMessage(message: any): TelemetryReading[] {
+  if (!message || typeof message !== 'object' || message.type !== 'telemetry') return [];
+
+  const items: any[] = Array.isArray(message.readings) ? message.readings : [message];
+  return items
+    .map(item => ({
+      sensorId: item.sensorId ?? item.sensor_id,
+      value: Number(item.value),
+      timestamp: item.timestamp ? new Date(item.timestamp).getTime() : Date.now()
+    }))
+    .filter(reading => typeof reading.sensorId === 'string' && Number.isFinite(reading.value));
+}
+
+export class TelemetryManager {
+  private mapping: TelemetryMapping | null = null;
+  private sensorsById = new Map<string, TelemetrySensor>();
+  private nodeStates = new Map<string, TelemetryNodeState>();
+  private unsubscribe: (() => void) | null = null;
+  private listeners = new Set<(manager: TelemetryManager) => void>();
+  private readingListeners = new Set<(readings: TelemetryReading[], replay: boolean) => void>();
+  private renderer: TelemetryRenderer;
+  // 实时读数录制缓冲区，可导出后用于回放
+  private recording: TelemetryReading[] = [];
+
+  public source: string | null = null;
+
+  constructor(renderer: TelemetryRenderer) {
+    this.renderer = renderer;
+  }
+
+  // 从URL加载映射文件 (Load the mapping file from a URL)
+  public async loadMapping(url: string): Promise<TelemetryMapping> {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`加载遥测映射失败: HTTP ${response.status}`);
+    }
+    return this.setMapping(await response.json());
+  }
+
+  // 设置映射，已着色的节点恢复原状 (Set the mapping; restores colored nodes)
+  public setMapping(data: any): TelemetryMapping {
+    const mapping = validateMapping(data);
+    this.restoreAll();
+    this.mapping = mapping;
+    this.sensorsById = new Map(mapping.sensors.map(sensor => [sensor.id, sensor]));
+    this.notify();
+    return mapping;
+  }
+
+  public getMapping(): TelemetryMapping | null {
+    return this.mapping;
+  }
+
+  // 启动数据源，替换正在运行的数据源 (Start a source, replacing the running one)
+  public async start(source: TelemetrySource) {
+    if (!this.mapping) {
+      throw new Error('尚未加载遥测映射');
+    }
+
+    this.stop();
+    const unsubscribe = await source.subscribe(message => this.ingest(message));
+    this.unsubscribe = unsubscribe;
+    this.source = source.name;
+    this.notify();
+  }
+
+  // 停止数据源并恢复节点原始材质 (Stop the source and restore original materials)
+  public stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.source = null;
+    this.restoreAll();
+    this.notify();
+  }
+
+  public isRunning(): boolean {
+    return this.unsubscribe !== null;
+  }
+
+  // 处理一条遥测消息 (Handle a telemetry message)
+  public ingest(message: any) {
+    const readings = parseTelemetryMessage(message);
+    if (!this.mapping || (readings.length === 0 && !message?.reset)) return;
+
+    if (message.reset) {
+      this.restoreAll();
+    }
+    // 回放的读数不再录制
+    if (!message.replay) {
+      this.record(readings);
+    }
+
+    readings.forEach((reading) => {
+      const sensor = this.sensorsById.get(reading.sensorId);
+      if (!sensor) return;
+
+      const [min, max] = sensor.range;
+      const color = sampleRamp(this.mapping!.ramps[sensor.ramp], (reading.value - min) / (max - min));
+      const state = { sensor, reading, color };
+      const previous = this.nodeStates.get(sensor.node);
+      this.nodeStates.set(sensor.node, state);
+
+      // 颜色未变化时无需重新着色
+      if (previous?.color !== color) {
+        this.renderer.apply(sensor.node, color, state);
+      }
+    });
+
+    this.readingListeners.forEach(listener => listener(readings, !!message.replay));
+    this.notify();
+  }
+
+  // 节点重新加载后重新着色 (Re-apply colors after the model is reloaded)
+  public reapply() {
+    this.nodeStates.forEach((state, node) => this.renderer.apply(node, state.color, state));
+  }
+
+  // 录制的读数条数 (Number of recorded readings)
+  public getRecordingSize(): number {
+    return this.recording.length;
+  }
+
+  // 导出录制的读数为NDJSON，可直接用于回放 (Export recorded readings as NDJSON, loadable for playback)
+  public exportRecording(): string {
+    return this.recording
+      .map(reading => JSON.stringify({ ...reading, timestamp: new Date(reading.timestamp).toISOString() }))
+      .join('\n');
+  }
+
+  public getSensor(sensorId: string): TelemetrySensor | undefined {
+    return this.sensorsById.get(sensorId);
+  }
+
+  public getNodeStates(): TelemetryNodeState[] {
+    return Array.from(this.nodeStates.values());
+  }
+
+  // 按色带、范围和单位生成图例 (Build the legend by ramp, range and unit)
+  public getLegend(): TelemetryLegendEntry[] {
+    if (!this.mapping) return [];
+
+    const entries = new Map<string, TelemetryLegendEntry>();
+    this.mapping.sensors.forEach((sensor) => {
+      const key = `${sensor.ramp}|${sensor.range.join(',')}|${sensor.unit || ''}`;
+      if (entries.has(key)) return;
+
+      const ramp = this.mapping!.ramps[sensor.ramp];
+      const stops = [...ramp.stops].sort((a, b) => a[0] - b[0]);
+      entries.set(key, {
+        ramp: sensor.ramp,
+        label: ramp.label || sensor.ramp,
+        unit: sensor.unit || '',
+        range: sensor.range,
+        gradient: `linear-gradient(to right, ${stops.map(([position, color]) => `${color} ${position * 100}%`).join(', ')})`
+      });
+    });
+    return Array.from(entries.values());
+  }
+
+  // 监听状态变化，返回取消监听函数 (Listen for state changes; returns an unsubscribe function)
+  public onChange(listener: (manager: TelemetryManager) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // 监听收到的读数，replay表示回放数据 (Listen for ingested readings; replay marks playback data)
+  public onReadings(listener: (readings: TelemetryReading[], replay: boolean) => void): () => void {
+    this.readingListeners.add(listener);
+    return () => this.readingListeners.delete(listener);
+  }
+
+  public dispose() {
+    this.stop();
+    this.listeners.clear();
+    this.readingListeners.clear();
+  }
+
+  private record(readings: TelemetryReading[]) {
+    this.recording.push(...readings);
+    if (this.recording.length > RECORDING_LIMIT) {
+      this.recording.splice(0, this.recording.length - RECORDING_LIMIT);
+    }
+  }
+
+  private restoreAll() {
+    this.nodeStates.forEach((_, node) => this.renderer.restore(node));
+    this.nodeStates.clear();
+  }
+
+  private notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+/**
+ * 创建基于WebSocketManager的数据源
+ * @param wsManager WebSocket管理器
+ * @param endpoint 遥测端点
+ */
+export function createWebSocketTelemetrySource(wsManager: any, endpoint: string): TelemetrySource {
+  return {
+    name: `ws:${endpoint}`,
+    subscribe: async (handler) => {
+      await wsManager.connect(endpoint);
+      wsManager.onMessage(endpoint, handler);
+      return () => wsManager.offMessage(endpoint, handler);
+    }
+  };
+}
+
+export default TelemetryManager;
@@ -0,0 +1,211 @@
+/**
+ * 遥测历史回放
+ * (Telemetry Playback)
+ *
+ * 加载录制的遥测日志，按虚拟时间轴回放。回放器本身是一个遥测数据源，
+ * 读数经TelemetryManager走与实时数据相同的着色流程。
+ */
+import { parseTelemetryMessage, type TelemetryReading, type TelemetrySource } from './TelemetryManager';
+
+// 回放数据源名称 (Playback source name)
+export const PLAYBACK_SOURCE = 'playback';
+
+// 可选回放倍速 (Available playback speeds)
+export const PLAYBACK_SPEEDS = [1, 10, 60, 600, 3600] as const;
+
+// 回放推进间隔（毫秒） (Playback tick interval in ms)
+const TICK_INTERVAL = 100;
+
+/**
+ * 解析遥测日志
+ * 支持：读数数组、{readings: [...]}、遥测消息数组，以及每行一条读数或消息的NDJSON
+ * @param text 日志文本
+ */
+export function parseTelemetryLog(text: string): TelemetryReading[] {
+  let entries: any[];
+  try {
+    const data = JSON.parse(text);
+    entries = Array.isArray(data) ? data : [data];
+  } catch {
+    entries = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  const readings = entries.flatMap(entry =>
+    parseTelemetryMessage(entry?.type === 'telemetry' ? entry : { ...entry, type: 'telemetry' })
+  );
+  return readings.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export class TelemetryPlayback {
+  private readings: TelemetryReading[] = [];
+  private handler: ((message: any) => void) | null = null;
+  private timer: ReturnType<typeof setInterval> | null = null;
+  private lastTick = 0;
+  // 下一条待推送读数的索引
+  private cursor = 0;
+  private listeners = new Set<(playback: TelemetryPlayback) => void>();
+
+  public logName = '';
+  public startTime = 0;
+  public endTime = 0;
+  public currentTime = 0;
+  public playing = false;
+  public speed: number = PLAYBACK_SPEEDS[1];
+
+  // 加载读数 (Load readings)
+  public load(readings: TelemetryReading[], logName: string) {
+    if (readings.length === 0) {
+      throw new Error('遥测日志中没有可回放的读数');
+    }
+
+    this.pause();
+    this.readings = readings;
+    this.logName = logName;
+    this.startTime = readings[0].timestamp;
+    this.endTime = readings[readings.length - 1].timestamp;
+    this.seek(this.startTime);
+  }
+
+  // 从HTTP接口加载日志 (Load a log from an HTTP endpoint)
+  public async loadFromUrl(url: string) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`加载遥测日志失败: HTTP ${response.status}`);
+    }
+    this.load(parseTelemetryLog(await response.text()), url);
+  }
+
+  // 从本地文件加载日志 (Load a log from a local file)
+  public async loadFromFile(file: File) {
+    this.load(parseTelemetryLog(await file.text()), file.name);
+  }
+
+  public isLoaded(): boolean {
+    return this.readings.length > 0;
+  }
+
+  // 作为遥测数据源接入TelemetryManager (Expose the playback as a telemetry source)
+  public createSource(): TelemetrySource {
+    return {
+      name: PLAYBACK_SOURCE,
+      subscribe: (handler) => {
+        this.handler = handler;
+        this.seek(this.currentTime);
+        return () => {
+          this.pause();
+          this.handler = null;
+        };
+      }
+    };
+  }
+
+  public play() {
+    if (this.playing || !this.isLoaded()) return;
+
+    // 已到结尾时从头播放
+    if (this.currentTime >= this.endTime) {
+      this.seek(this.startTime);
+    }
+
+    this.playing = true;
+    this.lastTick = performance.now();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    this.notify();
+  }
+
+  public pause() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.playing = false;
+    this.notify();
+  }
+
+  public setSpeed(speed: number) {
+    if (speed > 0) {
+      this.speed = speed;
+      this.notify();
+    }
+  }
+
+  /**
+   * 跳转到指定时间，推送该时刻各传感器的最新读数
+   * @param time 时间戳（毫秒）
+   */
+  public seek(time: number) {
+    this.currentTime = Math.min(this.endTime, Math.max(this.startTime, time));
+
+    // 二分查找第一条晚于当前时间的读数
+    let low = 0;
+    let high = this.readings.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.readings[mid].timestamp <= this.currentTime) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.cursor = low;
+
+    const latest = new Map<string, TelemetryReading>();
+    for (let i = 0; i < this.cursor; i++) {
+      latest.set(this.readings[i].sensorId, this.readings[i]);
+    }
+
+    // reset使尚无读数的节点恢复原状
+    this.emit(Array.from(latest.values()), true);
+    this.notify();
+  }
+
+  // 监听回放状态变化，返回取消监听函数 (Listen for state changes; returns an unsubscribe function)
+  public onChange(listener: (playback: TelemetryPlayback) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  public dispose() {
+    this.pause();
+    this.handler = null;
+    this.listeners.clear();
+  }
+
+  // 推进虚拟时间并推送期间的读数 (Advance virtual time and push readings in between)
+  private tick() {
+    const now = performance.now();
+    const nextTime = Math.min(this.endTime, this.currentTime + (now - this.lastTick) * this.speed);
+    this.lastTick = now;
+
+    const readings: TelemetryReading[] = [];
+    while (this.cursor < this.readings.length && this.readings[this.cursor].timestamp <= nextTime) {
+      readings.push(this.readings[this.cursor++]);
+    }
+    this.currentTime = nextTime;
+
+    if (readings.length > 0) {
+      this.emit(readings, false);
+    }
+
+    if (this.currentTime >= this.endTime) {
+      this.pause();
+    } else {
+      this.notify();
+    }
+  }
+
+  private emit(readings: TelemetryReading[], reset: boolean) {
+    this.handler?.({
+      type: 'telemetry',
+      reset,
+      replay: true,
+      readings: readings.map(reading => ({ ...reading, timestamp: new Date(reading.timestamp).toISOString() }))
+    });
+  }
+
+  private notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default TelemetryPlayback;
@@ -0,0 +1,315 @@
+/**
+ * 连接诊断
+ * (Transport Diagnostics)
+ *
+ * 统计统一传输层的运行状况，用于判断问题出在服务端响应慢、连接频繁断开还是命令超时：
+ * 心跳往返延迟、每秒收发消息数、各通道重连次数、各操作的成功/失败/超时次数，
+ * 以及可筛选、可导出的原始消息记录。
+ */
+import { createEnvelope, type MCPChannel, type MCPEnvelopeType } from './MCPProtocol';
+import {
+  mcpTransport,
+  type MCPPendingRequestInfo,
+  type MCPRequestEvent,
+  type MCPTrafficEvent,
+  type MCPTransport
+} from './MCPTransport';
+
+// 心跳往返延迟样本 (Heartbeat round-trip sample)
+export interface LatencySample {
+  channel: MCPChannel;
+  rtt: number;
+  timestamp: number;
+}
+
+// 一秒内的收发消息数 (Messages in and out during one second)
+export interface RateBucket {
+  second: number;
+  in: number;
+  out: number;
+}
+
+// 单个操作的请求统计 (Request statistics for one action)
+export interface ActionStats {
+  action: string;
+  // 已结束的请求数
+  total: number;
+  success: number;
+  failure: number;
+  timeout: number;
+  // 发送出错，如连接已断开
+  error: number;
+  // 已结束请求的平均耗时
+  avgDuration: number;
+  maxDuration: number;
+  lastError: string | null;
+}
+
+// 原始消息记录 (Raw message record)
+export interface TrafficRecord {
+  seq: number;
+  direction: MCPTrafficEvent['direction'];
+  channel: MCPChannel;
+  type: MCPEnvelopeType;
+  id: string;
+  correlationId?: string;
+  // 命令的操作名称
+  action?: string;
+  raw: string;
+  size: number;
+  timestamp: number;
+}
+
+// 原始消息筛选条件 (Raw message filter)
+export interface TrafficFilter {
+  direction?: MCPTrafficEvent['direction'];
+  channel?: MCPChannel;
+  // 不指定时包括心跳
+  type?: MCPEnvelopeType;
+  // 在原始文本中查找
+  text?: string;
+}
+
+// 诊断快照 (Diagnostics snapshot)
+export interface DiagnosticsSnapshot {
+  since: number;
+  latency: LatencySample[];
+  // 最近一分钟，按秒排列，最早的在前
+  rates: RateBucket[];
+  totals: { in: number, out: number };
+  reconnects: Partial<Record<MCPChannel, number>>;
+  pending: MCPPendingRequestInfo[];
+  actions: ActionStats[];
+}
+
+// 未回复的心跳保留时长和条数 (Age and count limits for unanswered pings)
+const PING_EXPIRY = 60000;
+const PING_LIMIT = 100;
+
+export interface DiagnosticsOptions {
+  // 保留的延迟样本数
+  latencyLimit?: number;
+  // 统计速率的秒数
+  rateWindow?: number;
+  // 保留的原始消息条数
+  trafficLimit?: number;
+}
+
+export class TransportDiagnostics {
+  private transport: MCPTransport;
+  private latencyLimit: number;
+  private rateWindow: number;
+  private trafficLimit: number;
+  private since = Date.now();
+  private latency: LatencySample[] = [];
+  // 按秒为键的收发计数 (Counts keyed by second)
+  private buckets = new Map<number, RateBucket>();
+  private totals = { in: 0, out: 0 };
+  private reconnects: Partial<Record<MCPChannel, number>> = {};
+  private actions = new Map<string, ActionStats>();
+  private traffic: TrafficRecord[] = [];
+  private seq = 0;
+  // 已发出、未收到回复的心跳 (Outstanding pings by id)
+  private pings = new Map<string, { channel: MCPChannel, sentAt: number }>();
+  // 回复过心跳的通道，只向这些通道发送诊断心跳 (Channels that have answered a ping)
+  private answering = new Set<MCPChannel>();
+  private unsubscribers: Array<() => void> = [];
+
+  constructor(transport: MCPTransport, options: DiagnosticsOptions = {}) {
+    this.transport = transport;
+    this.latencyLimit = options.latencyLimit ?? 120;
+    this.rateWindow = options.rateWindow ?? 60;
+    this.trafficLimit = options.trafficLimit ?? 500;
+  }
+
+  // 开始统计，重复调用无效 (Start collecting; repeated calls are ignored)
+  public start() {
+    if (this.unsubscribers.length > 0) return;
+    this.unsubscribers = [
+      this.transport.onTraffic(event => this.recordTraffic(event)),
+      this.transport.onRequest(event => this.recordRequest(event)),
+      this.transport.onStatus((channel, status) => {
+        if (status === 'reconnecting') {
+          this.reconnects[channel] = (this.reconnects[channel] ?? 0) + 1;
+        }
+      })
+    ];
+  }
+
+  public stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * 向已连接的通道发送心跳以测量往返延迟，不必等待下一次定时心跳；
+   * 只测量回复过定时心跳的通道，不回复心跳的通道（如旧版telemetry）不会被探测
+   * @param channels 要测量的通道
+   */
+  public probe(channels: readonly MCPChannel[]) {
+    channels
+      .filter(channel => this.answering.has(channel) && this.transport.isOpen(channel))
+      .forEach((channel) => {
+        try {
+          this.transport.post(createEnvelope('ping', channel, {}));
+        } catch (error) {
+          console.warn(`发送诊断心跳失败: ${channel}`, error);
+        }
+      });
+  }
+
+  public getSnapshot(): DiagnosticsSnapshot {
+    const now = Math.floor(Date.now() / 1000);
+    const rates: RateBucket[] = [];
+    for (let second = now - this.rateWindow + 1; second <= now; second++) {
+      rates.push(this.buckets.get(second) ?? { second, in: 0, out: 0 });
+    }
+
+    return {
+      since: this.since,
+      latency: [...this.latency],
+      rates,
+      totals: { ...this.totals },
+      reconnects: { ...this.reconnects },
+      pending: this.transport.getPendingRequests(),
+      actions: Array.from(this.actions.values())
+        .map(stats => ({ ...stats }))
+        .sort((a, b) => b.total - a.total)
+    };
+  }
+
+  /**
+   * 筛选原始消息，最新的在前
+   * @param filter 筛选条件
+   */
+  public getTraffic(filter: TrafficFilter = {}): TrafficRecord[] {
+    const text = filter.text?.trim().toLowerCase();
+    return this.traffic
+      .filter(record =>
+        (!filter.direction || record.direction === filter.direction)
+        && (!filter.channel || record.channel === filter.channel)
+        && (!filter.type || record.type === filter.type)
+        && (!text || record.raw.toLowerCase().includes(text)))
+      .reverse();
+  }
+
+  /**
+   * 导出筛选后的原始消息和统计数据
+   * @param filter 筛选条件
+   * @returns JSON文本
+   */
+  public exportTraffic(filter: TrafficFilter = {}): string {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      filter,
+      diagnostics: this.getSnapshot(),
+      messages: this.getTraffic(filter).reverse()
+    }, null, 2);
+  }
+
+  // 清空统计，未结束的心跳和请求不受影响 (Reset statistics; outstanding pings and requests are kept)
+  public reset() {
+    this.since = Date.now();
+    this.latency = [];
+    this.buckets.clear();
+    this.totals = { in: 0, out: 0 };
+    this.reconnects = {};
+    this.actions.clear();
+    this.traffic = [];
+  }
+
+  private recordTraffic(event: MCPTrafficEvent) {
+    const { envelope } = event;
+    const second = Math.floor(event.timestamp / 1000);
+    const bucket = this.buckets.get(second) ?? { second, in: 0, out: 0 };
+    bucket[event.direction]++;
+    this.buckets.set(second, bucket);
+    this.totals[event.direction]++;
+    this.pruneBuckets(second);
+
+    if (envelope.type === 'ping' && event.direction === 'out') {
+      this.pings.set(envelope.id, { channel: envelope.channel, sentAt: event.timestamp });
+      this.prunePings(event.timestamp);
+    } else if (envelope.type === 'pong' && event.direction === 'in') {
+      this.recordPong(envelope.channel, envelope.correlationId, event.timestamp);
+    }
+
+    this.traffic.push({
+      seq: ++this.seq,
+      direction: event.direction,
+      channel: envelope.channel,
+      type: envelope.type,
+      id: envelope.id,
+      ...(envelope.correlationId ? { correlationId: envelope.correlationId } : {}),
+      ...(envelope.type === 'command' && envelope.payload?.action ? { action: envelope.payload.action } : {}),
+      raw: event.raw,
+      size: event.raw.length,
+      timestamp: event.timestamp
+    });
+    if (this.traffic.length > this.trafficLimit) {
+      this.traffic.splice(0, this.traffic.length - this.trafficLimit);
+    }
+  }
+
+  // 旧版心跳回复不带关联ID，按通道匹配最早未回复的心跳 (Legacy pongs carry no correlation id; match the oldest ping on the channel)
+  private recordPong(channel: MCPChannel, correlationId: string | undefined, receivedAt: number) {
+    let id = correlationId && this.pings.has(correlationId) ? correlationId : undefined;
+    if (!id) {
+      for (const [pingId, ping] of this.pings) {
+        if (ping.channel === channel) {
+          id = pingId;
+          break;
+        }
+      }
+    }
+    if (!id) return;
+
+    const ping = this.pings.get(id)!;
+    this.pings.delete(id);
+    this.answering.add(channel);
+    this.latency.push({ channel, rtt: receivedAt - ping.sentAt, timestamp: receivedAt });
+    if (this.latency.length > this.latencyLimit) this.latency.shift();
+  }
+
+  // 丢弃超时未回复的心跳，并限制总数 (Drop expired pings and cap the total)
+  private prunePings(now: number) {
+    this.pings.forEach((ping, pingId) => {
+      if (now - ping.sentAt > PING_EXPIRY) this.pings.delete(pingId);
+    });
+    while (this.pings.size > PING_LIMIT) {
+      this.pings.delete(this.pings.keys().next().value!);
+    }
+  }
+
+  private recordRequest(event: MCPRequestEvent) {
+    const stats = this.actions.get(event.action) ?? {
+      action: event.action,
+      total: 0,
+      success: 0,
+      failure: 0,
+      timeout: 0,
+      error: 0,
+      avgDuration: 0,
+      maxDuration: 0,
+      lastError: null
+    };
+
+    stats.total++;
+    stats[event.outcome]++;
+    stats.avgDuration += (event.duration - stats.avgDuration) / stats.total;
+    stats.maxDuration = Math.max(stats.maxDuration, event.duration);
+    if (event.outcome !== 'success') stats.lastError = event.error || event.outcome;
+    this.actions.set(event.action, stats);
+  }
+
+  private pruneBuckets(current: number) {
+    this.buckets.forEach((_bucket, second) => {
+      if (second <= current - this.rateWindow) this.buckets.delete(second);
+    });
+  }
+}
+
+// 单例 (Singleton)
+export const transportDiagnostics = new TransportDiagnostics(mcpTransport);
+
+export default TransportDiagnostics;
@@ -0,0 +1,149 @@
+/**
+ * 相机书签
+ * (Camera View Bookmarks)
+ *
+ * 保存用户命名的相机位置和观察点，持久化在localStorage中，
+ * 并可编码到URL hash中分享，打开链接即跳转到该视角。
+ */
+
+// 相机书签 (Camera bookmark)
+export interface ViewBookmark {
+  id: string;
+  name: string;
+  position: [number, number, number];
+  target: [number, number, number];
+  createdAt: string;
+}
+
+// URL hash中的视角 (View parsed from the URL hash)
+export interface ViewHash {
+  name?: string;
+  position?: [number, number, number];
+  target?: [number, number, number];
+}
+
+const STORAGE_KEY = 'camera_bookmarks';
+
+// 书签坐标保留的小数位 (Decimal places kept for bookmark coordinates)
+const PRECISION = 3;
+
+const round = (value: number) => Number(value.toFixed(PRECISION));
+
+const isVector = (value: any): value is [number, number, number] =>
+  Array.isArray(value) && value.length === 3 && value.every(item => Number.isFinite(item));
+
+/**
+ * 生成书签的URL hash，包含相机参数以便在其他设备打开
+ * @param bookmark 书签
+ */
+export function formatViewHash(bookmark: Pick<ViewBookmark, 'name' | 'position' | 'target'>): string {
+  const camera = [...bookmark.position, ...bookmark.target].map(round).join(',');
+  return `#view=${encodeURIComponent(bookmark.name)}&camera=${camera}`;
+}
+
+/**
+ * 解析URL hash中的视角，格式为#view=<名称>[&camera=px,py,pz,tx,ty,tz]
+ * @param hash location.hash
+ */
+export function parseViewHash(hash: string): ViewHash | null {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const name = params.get('view') || undefined;
+  const camera = params.get('camera')?.split(',').map(Number);
+
+  const view: ViewHash = { name };
+  if (camera && camera.length === 6 && camera.every(Number.isFinite)) {
+    view.position = camera.slice(0, 3) as [number, number, number];
+    view.target = camera.slice(3) as [number, number, number];
+  }
+  return view.name || view.position ? view : null;
+}
+
+export class ViewBookmarkStore {
+  private bookmarks: ViewBookmark[] = this.loadFromStorage();
+  private listeners = new Set<(bookmarks: ViewBookmark[]) => void>();
+
+  /**
+   * 保存当前视角，同名书签被覆盖
+   * @param name 书签名称
+   * @param position 相机位置
+   * @param target 观察点
+   */
+  public save(name: string, position: number[], target: number[]): ViewBookmark {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      throw new Error('书签名称不能为空');
+    }
+    if (!isVector(position) || !isVector(target)) {
+      throw new Error('无效的相机位置或观察点');
+    }
+
+    const existing = this.bookmarks.find(bookmark => bookmark.name === trimmed);
+    const bookmark: ViewBookmark = {
+      id: existing?.id || `view_${Date.now()}_${Math.floor(Math.random() * 10000)}`,
+      name: trimmed,
+      position: position.map(round) as [number, number, number],
+      target: target.map(round) as [number, number, number],
+      createdAt: new Date().toISOString()
+    };
+
+    this.bookmarks = existing
+      ? this.bookmarks.map(item => (item === existing ? bookmark : item))
+      : [...this.bookmarks, bookmark];
+    this.persist();
+    return { ...bookmark };
+  }
+
+  // 按ID或名称查找书签 (Find a bookmark by ID or name)
+  public get(idOrName: string): ViewBookmark | null {
+    const bookmark = this.bookmarks.find(item => item.id === idOrName || item.name === idOrName);
+    return bookmark ? { ...bookmark } : null;
+  }
+
+  public list(): ViewBookmark[] {
+    return this.bookmarks.map(bookmark => ({ ...bookmark }));
+  }
+
+  public remove(idOrName: string): boolean {
+    const bookmark = this.bookmarks.find(item => item.id === idOrName || item.name === idOrName);
+    if (!bookmark) return false;
+
+    this.bookmarks = this.bookmarks.filter(item => item !== bookmark);
+    this.persist();
+    return true;
+  }
+
+  // 监听书签变化，返回取消监听函数 (Listen for bookmark changes; returns an unsubscribe function)
+  public onChange(listener: (bookmarks: ViewBookmark[]) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  private loadFromStorage(): ViewBookmark[] {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(data)
+        ? data.filter(item => item && typeof item.name === 'string' && isVector(item.position) && isVector(item.target))
+        : [];
+    } catch (error) {
+      console.error('读取相机书签失败:', error);
+      return [];
+    }
+  }
+
+  // 保存到本地存储并通知变化 (Persist to local storage and notify listeners)
+  private persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bookmarks));
+    } catch (error) {
+      console.error('保存相机书签失败:', error);
+    }
+
+    const bookmarks = this.list();
+    this.listeners.forEach(listener => listener(bookmarks));
+  }
+}
+
+// 单例 (Singleton)
+export const viewBookmarks = new ViewBookmarkStore();
+
+export default ViewBookmarkStore;
@@ -1,22 +1,55 @@
 // WebSocketManager.js
 // WebSocket 连接管理器类
+// 基于统一传输层mcpTransport的旧版接口，端点映射为逻辑通道，消息按旧版格式收发
+// 断线期间发出的命令和事件保存到发件箱，重新连接后按顺序重发
 
 import { MCPCommandBuilder } from './MCPCommandBuilder';
+import { mcpTransport, MCPRequestTimeoutError } from './MCPTransport';
+import { channelFromEndpoint, fromLegacy, toLegacy } from './MCPProtocol';
+import { messageOutbox } from './MessageOutbox';
+
+// 旧版命令响应超时（毫秒）
+const COMMAND_TIMEOUT = 5000;
+
+// 通道就绪（v1协议握手完成）后重发发件箱中的消息，全部实例共用同一个发件箱
+// 命令通过request重发，经过能力检查并关联服务端结果；事件直接发送
+const flushOutbox = (channel) => messageOutbox.flush(channel, entry => {
+  if (!mcpTransport.isReady(channel)) {
+    throw new Error(`通道${channel}已断开`);
+  }
+
+  const envelope = fromLegacy(entry.message, channel);
+  if (entry.kind !== 'command' || envelope.type !== 'command') {
+    mcpTransport.post(envelope);
+    return;
+  }
+
+  // 不等待结果，避免一条慢命令阻塞后续消息的重发
+  mcpTransport.request(envelope, { timeout: COMMAND_TIMEOUT })
+    .then((response) => {
+      console.log(`重发的命令已执行 (${envelope.payload.action}, ID: ${envelope.id}):`, toLegacy(response));
+    })
+    .catch((error) => {
+      console.warn(`重发的命令未成功 (${envelope.payload.action}, ID: ${envelope.id}):`, error);
+    });
+});
+
+mcpTransport.onReady(flushOutbox);
 
 export class WebSocketManager {
   constructor(config = {}) {
     this.config = {
-      wsUrl: import.meta.env.VITE_PYTHON_WS_URL || 'ws://localhost:9000',
-      reconnectDelay: 5000,
-      maxReconnectAttempts: 5,
+      ...mcpTransport.config,
       ...config
     };
 
+    this.transport = mcpTransport;
     this.commandBuilder = new MCPCommandBuilder();
-    this.connections = new Map();
-    this.reconnectAttempts = new Map();
+    // 本实例打开的端点
+    this.endpoints = new Set();
     this.messageHandlers = new Map();
-    this.pendingCommands = new Map();
+    // 各端点在传输层上的订阅
+    this.subscriptions = new Map();
     
     // 控制日志级别，默认只显示错误
     this.logLevel = config.logLevel || 'error'; // 'debug'|'info'|'warn'|'error'|'none'
@@ -42,191 +75,69 @@ export class WebSocketManager {
 
   // 初始化连接
   async connect(endpoint) {
+    const channel = channelFromEndpoint(endpoint);
     try {
-      // 如果已经有活跃连接，先断开
-      if (this.connections.has(endpoint)) {
-        const existingWs = this.connections.get(endpoint);
-        if (existingWs && existingWs.readyState === WebSocket.OPEN) {
-          return existingWs;
-        } else if (existingWs) {
-          this.disconnect(endpoint);
-        }
-      }
-
-      this.log('info', `正在创建新WebSocket连接: ${endpoint}`);
-      const ws = new WebSocket(`${this.config.wsUrl}${endpoint}`);
-      
-      // 设置连接超时
-      const connectionTimeout = setTimeout(() => {
-        if (ws.readyState !== WebSocket.OPEN) {
-          this.log('error', `WebSocket连接超时: ${endpoint}`);
-          ws.close();
-        }
-      }, 5000);
-
-      this.setupWebSocketHandlers(ws, endpoint);
-      this.connections.set(endpoint, ws);
-
-      return new Promise((resolve, reject) => {
-        ws.onopen = () => {
-          this.log('info', `WebSocket连接成功: ${endpoint}`);
-          this.reconnectAttempts.set(endpoint, 0);
-          clearTimeout(connectionTimeout); // 清除连接超时
-          
-          // 设置定期发送心跳消息
-          const heartbeatInterval = setInterval(() => {
-            if (ws.readyState === WebSocket.OPEN) {
-              try {
-                ws.send(JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() }));
-              } catch (error) {
-                this.log('warn', `发送心跳消息失败: ${endpoint}`);
-              }
-            } else {
-              clearInterval(heartbeatInterval);
-            }
-          }, 30000); // 每30秒发送一次心跳
-          
-          // 保存心跳间隔以便清理
-          ws.heartbeatInterval = heartbeatInterval;
-          
-          resolve(ws);
-        };
-        ws.onerror = (error) => {
-          this.log('error', `WebSocket连接失败: ${endpoint}`);
-          clearTimeout(connectionTimeout); // 清除连接超时
-          reject(error);
-        };
-      });
+      this.log('info', `正在打开WebSocket通道: ${endpoint}`);
+      this.endpoints.add(endpoint);
+      await this.transport.open(channel, this);
+      this.log('info', `WebSocket连接成功: ${endpoint}`);
+      return true;
     } catch (error) {
-      this.log('error', `WebSocket连接错误: ${endpoint}`);
-      this.handleReconnect(endpoint);
+      this.log('error', `WebSocket连接失败: ${endpoint}`);
       throw error;
     }
   }
 
-  // 设置WebSocket事件处理器
-  setupWebSocketHandlers(ws, endpoint) {
-    ws.onmessage = (event) => this.handleMessage(event, endpoint);
-    ws.onclose = () => this.handleClose(endpoint);
-    ws.onerror = (error) => this.handleError(error, endpoint);
-  }
-
-  // 处理接收到的消息
-  handleMessage(event, endpoint) {
-    try {
-      const data = JSON.parse(event.data);
-      this.log('debug', `收到WebSocket消息 (${endpoint}):`, data);
-      
-      // 调用所有消息处理器，首先进行广播
-      const handlers = this.messageHandlers.get(endpoint) || [];
-      handlers.forEach(handler => handler(data));
-      
-      // 处理心跳响应 - 不作为命令处理
-      if (data.type === 'heartbeat_response') {
-        return;
-      }
-      
-      // 寻找命令ID，检查不同格式的响应
-      const commandId = 
-        data.command_id || // MCP响应格式
-        data.commandId ||  // 标准命令ID格式
-        (data.command && data.command.id) || // 嵌套命令格式
-        (data.result && data.result.command_id) || // 嵌套在结果中的格式
-        data.id;         // 标准ID格式
-      
-      // 如果找到命令ID，并且有对应的待响应命令
-      if (commandId && this.pendingCommands.has(commandId)) {
-        this.log('debug', `找到命令响应 (ID: ${commandId})`);
-        
-        const pendingCommand = this.pendingCommands.get(commandId);
-        const { resolve } = pendingCommand;
-        
-        // 判断响应是否成功 - 检查多种可能的成功状态表示
-        // 注意: MCP服务器可能在各种情况下都返回status=success
-        const isSuccess = 
-          data.success === true || 
-          data.status === 'success' || 
-          (data.result && data.result.success === true) ||
-          (data.type === 'mcp.response' && data.status === 'success');
-        
-        // 计算响应时间
-        const responseTime = Date.now() - pendingCommand.timestamp;
-        this.log('debug', `命令响应 (ID: ${commandId}, 耗时: ${responseTime}ms, 状态: ${isSuccess ? '成功' : '失败'})`);
-        
-        // 无论成功失败都调用resolve，让应用层自行处理结果
-        // MCP服务设计是即使命令执行有问题也返回成功，前端需要自行处理显示
-        resolve(data);
-        this.pendingCommands.delete(commandId);
-      } else if (data.type === 'mcp.command' || data.type === 'mcp.response') {
-        // 还没有相应的pending命令，但是命令响应类型，可能是广播或者异步响应
-        const msgId = data.id || data.command_id || '未知ID';
-        this.log('debug', `收到MCP命令或响应，但没有对应的pending命令 (ID: ${msgId})`);
-        // 不做特殊处理，让应用层自己处理
-      }
-    } catch (error) {
-      this.log('error', `消息处理错误 (${endpoint})`);
-      this.log('debug', '原始消息:', event.data);
-      try {
-        // 尝试作为纯文本消息处理
-        const handlers = this.messageHandlers.get(endpoint) || [];
-        handlers.forEach(handler => handler(event.data));
-      } catch (e) {
-        // 忽略二次错误
-      }
-    }
-  }
-
-  // 处理连接关闭
-  handleClose(endpoint) {
-    this.log('info', `WebSocket连接关闭: ${endpoint}`);
-    this.connections.delete(endpoint);
-    this.handleReconnect(endpoint);
-  }
-
-  // 处理连接错误
-  handleError(error, endpoint) {
-    this.log('error', `WebSocket错误: ${endpoint}`);
-  }
-
-  // 处理重连
-  async handleReconnect(endpoint) {
-    const attempts = this.reconnectAttempts.get(endpoint) || 0;
-    if (attempts >= this.config.maxReconnectAttempts) {
-      this.log('error', `WebSocket重连失败: ${endpoint} - 已达到最大重试次数`);
-      return;
-    }
-
-    this.reconnectAttempts.set(endpoint, attempts + 1);
-    this.log('info', `尝试重连 WebSocket: ${endpoint} - 第 ${attempts + 1} 次`);
-
-    setTimeout(() => {
-      this.connect(endpoint).catch(() => {
-        this.handleReconnect(endpoint);
-      });
-    }, this.config.reconnectDelay);
-  }
-
   // 注册消息处理器
   onMessage(endpoint, handler) {
     if (!this.messageHandlers.has(endpoint)) {
       this.messageHandlers.set(endpoint, []);
     }
     this.messageHandlers.get(endpoint).push(handler);
+
+    // 每个端点只在传输层订阅一次，消息按旧版格式分发
+    if (!this.subscriptions.has(endpoint)) {
+      const unsubscribe = this.transport.subscribe(channelFromEndpoint(endpoint), (envelope) => {
+        const data = envelope.raw !== undefined ? envelope.raw : toLegacy(envelope);
+        this.log('debug', `收到WebSocket消息 (${endpoint}):`, data);
+        (this.messageHandlers.get(endpoint) || []).forEach(item => item(data));
+      });
+      this.subscriptions.set(endpoint, unsubscribe);
+    }
   }
 
-  // 发送普通消息
+  // 移除消息处理器
+  offMessage(endpoint, handler) {
+    const handlers = this.messageHandlers.get(endpoint);
+    if (!handlers) return;
+    const index = handlers.indexOf(handler);
+    if (index !== -1) handlers.splice(index, 1);
+  }
+
+  // 发送普通消息，通道未连接时保存到发件箱并返回false
   send(endpoint, message) {
-    const ws = this.connections.get(endpoint);
-    if (!ws || ws.readyState !== WebSocket.OPEN) {
-      throw new Error(`WebSocket连接未就绪: ${endpoint}`);
+    const channel = channelFromEndpoint(endpoint);
+    let data = message;
+    if (typeof message === 'string') {
+      try {
+        data = JSON.parse(message);
+      } catch (e) {
+        // 非JSON文本按原样作为事件发送
+      }
     }
-    
+
+    if (!this.transport.isReady(channel)) {
+      this.log('warn', `WebSocket未连接 (${endpoint})，消息已保存到发件箱`);
+      messageOutbox.add(channel, data, 'event')
+        .then(() => this.flushIfReady(channel))
+        .catch((error) => {
+          this.log('error', `消息保存到发件箱失败，已丢失 (${endpoint}):`, error);
+        });
+      return false;
+    }
+
     try {
-      if (typeof message === 'string') {
-        ws.send(message);
-      } else {
-        ws.send(JSON.stringify(message));
-      }
+      this.transport.post(fromLegacy(data, channel));
       return true;
     } catch (error) {
       this.log('error', `发送消息失败: ${endpoint}`);
@@ -234,147 +145,99 @@ export class WebSocketManager {
     }
   }
 
+  // 保存期间通道可能已就绪并完成重发，此时补发刚保存的消息；正在重发时由进行中的重发一并发出
+  flushIfReady(channel) {
+    if (this.transport.isReady(channel)) flushOutbox(channel);
+  }
+
   // 检查连接是否活跃
   isConnectionActive(endpoint) {
-    const ws = this.connections.get(endpoint);
-    return ws && ws.readyState === WebSocket.OPEN;
+    return this.transport.isOpen(channelFromEndpoint(endpoint));
   }
 
   // 获取活跃连接列表
   getActiveConnections() {
-    const active = [];
-    for (const [endpoint, ws] of this.connections.entries()) {
-      if (ws.readyState === WebSocket.OPEN) {
-        active.push(endpoint);
-      }
-    }
-    return active;
+    return Array.from(this.endpoints).filter(endpoint => this.isConnectionActive(endpoint));
   }
 
-  // 发送MCP命令
+  // 发送MCP命令；通道未连接时保存到发件箱，以{success: false, status: 'queued'}返回；响应超时时抛出MCPRequestTimeoutError
   async sendCommand(endpoint, command) {
-    const ws = this.connections.get(endpoint);
-    if (!ws || ws.readyState !== WebSocket.OPEN) {
-      this.log('error', `WebSocket连接未就绪 (${endpoint}): readyState=${ws ? ws.readyState : 'undefined'}`);
-      throw new Error(`WebSocket连接未就绪: ${endpoint}`);
+    const channel = channelFromEndpoint(endpoint);
+    let commandObj = command;
+    if (typeof command === 'string') {
+      try {
+        commandObj = JSON.parse(command);
+      } catch (e) {
+        this.log('warn', '命令不是有效的JSON字符串，将尝试作为普通消息发送');
+        return this.send(endpoint, command)
+          ? { success: true, message: '消息已发送' }
+          : { success: false, status: 'queued', message: '连接未就绪，消息已保存，重新连接后发送' };
+      }
     }
 
-    // 生成一个唯一的命令ID
-    const generateCommandId = () => {
-      return `cmd_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
-    };
+    if (!commandObj.type) {
+      commandObj.type = 'mcp.command';
+    }
 
-    return new Promise((resolve, reject) => {
-      try {
-        // 确保命令有一个ID
-        let commandObj = command;
-        
-        // 检查command是否为字符串
-        if (typeof command === 'string') {
-          try {
-            commandObj = JSON.parse(command);
-          } catch (e) {
-            this.log('warn', '命令不是有效的JSON字符串，将尝试作为普通消息发送');
-            ws.send(command);
-            return resolve({ success: true, message: '消息已发送' });
-          }
-        }
-        
-        // 确保命令对象有ID和type
-        if (!commandObj.type) {
-          commandObj.type = 'mcp.command';
-        }
-        
-        let commandId;
-        
-        // 确保命令对象有ID
-        if (!commandObj.id && commandObj.command) {
-          // 如果有嵌套的command对象，且该对象没有ID
-          if (!commandObj.command.id) {
-            commandObj.command.id = generateCommandId();
-          }
-          commandId = commandObj.command.id;
-        } else {
-          // 直接给顶层对象添加ID
-          if (!commandObj.id) {
-            commandObj.id = generateCommandId();
-          }
-          commandId = commandObj.id;
-        }
-        
-        this.log('debug', `准备发送WebSocket命令 (ID: ${commandId})`);
-        
-        // 存储待响应的命令
-        this.pendingCommands.set(commandId, { 
-          resolve,
-          reject,
-          timestamp: Date.now(),
-          command: commandObj
-        });
-        
-        // 转换为JSON并发送
-        const jsonString = JSON.stringify(commandObj);
-        this.log('debug', `发送WebSocket命令 (${endpoint}, 长度: ${jsonString.length}字节)`);
-        ws.send(jsonString);
-        
-        // 设置超时处理
-        setTimeout(() => {
-          if (this.pendingCommands.has(commandId)) {
-            this.log('warn', `WebSocket命令超时 (ID: ${commandId})`);
-            // 不删除命令，允许晚到的响应仍然处理
-            // 但仍然返回超时结果
-            resolve({ 
-              success: false, 
-              status: 'timeout', 
-              message: '命令发送成功但响应超时，可能仍在后台处理',
-              command_id: commandId
-            });
-          }
-        }, 5000); // 5秒超时
-      } catch (error) {
+    if (!this.transport.isReady(channel)) {
+      const target = commandObj.command && typeof commandObj.command === 'object' ? commandObj.command : commandObj;
+      target.id = target.id || `cmd_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+      await messageOutbox.add(channel, commandObj, 'command');
+      this.flushIfReady(channel);
+      this.log('warn', `WebSocket连接未就绪 (${endpoint}): ${this.transport.getStatus(channel)}，命令已保存到发件箱`);
+      return {
+        success: false,
+        status: 'queued',
+        message: '连接未就绪，命令已保存，重新连接后发送',
+        command_id: target.id
+      };
+    }
+
+    // 命令ID即信封ID，响应通过关联ID匹配
+    const envelope = fromLegacy(commandObj, channel);
+    if (commandObj.command && typeof commandObj.command === 'object') {
+      commandObj.command.id = envelope.id;
+    } else {
+      commandObj.id = envelope.id;
+    }
+    this.log('debug', `发送WebSocket命令 (${endpoint}, ID: ${envelope.id})`);
+
+    try {
+      const result = await this.transport.request(envelope, { timeout: COMMAND_TIMEOUT });
+      return result.raw !== undefined ? result.raw : toLegacy(result);
+    } catch (error) {
+      if (error instanceof MCPRequestTimeoutError) {
+        this.log('warn', `WebSocket命令超时 (ID: ${envelope.id})`);
+      } else {
         this.log('error', '发送命令失败');
-        reject(error);
       }
-    });
+      throw error;
+    }
   }
 
-  // 关闭指定连接
+  // 关闭指定连接，同时移除该端点的消息处理器
   disconnect(endpoint) {
-    const ws = this.connections.get(endpoint);
-    if (ws) {
-      // 清除心跳定时器
-      if (ws.heartbeatInterval) {
-        clearInterval(ws.heartbeatInterval);
-        ws.heartbeatInterval = null;
-      }
-      
-      try {
-        // 发送关闭消息
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({ type: 'disconnect', timestamp: new Date().toISOString() }));
-        }
-        ws.close();
-      } catch (e) {
-        this.log('warn', `关闭WebSocket连接出错: ${endpoint}`);
-      }
-      
-      this.connections.delete(endpoint);
-      this.messageHandlers.delete(endpoint);
-      this.log('info', `已断开WebSocket连接: ${endpoint}`);
-    }
+    if (!this.endpoints.has(endpoint)) return;
+
+    this.subscriptions.get(endpoint)?.();
+    this.subscriptions.delete(endpoint);
+    this.messageHandlers.delete(endpoint);
+    this.endpoints.delete(endpoint);
+    this.transport.close(channelFromEndpoint(endpoint), this);
+    this.log('info', `已断开WebSocket连接: ${endpoint}`);
   }
 
   // 关闭所有连接
   disconnectAll() {
-    for (const endpoint of this.connections.keys()) {
-      this.disconnect(endpoint);
-    }
+    Array.from(this.endpoints).forEach(endpoint => this.disconnect(endpoint));
   }
 
-  // 获取连接状态
+  // 获取连接状态（WebSocket.readyState取值）
   getConnectionStatus(endpoint) {
-    const ws = this.connections.get(endpoint);
-    return ws ? ws.readyState : WebSocket.CLOSED;
+    const status = this.transport.getStatus(channelFromEndpoint(endpoint));
+    if (status === 'connected') return WebSocket.OPEN;
+    if (status === 'connecting' || status === 'reconnecting') return WebSocket.CONNECTING;
+    return WebSocket.CLOSED;
   }
 
   // 检查连接状态并尝试连接，如果状态良好则返回true，否则尝试重连
@@ -397,4 +260,4 @@ export class WebSocketManager {
   createCommand() {
     return new MCPCommandBuilder();
   }
-} 
\ No newline at end of file
+}